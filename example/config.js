@@ -17,18 +17,33 @@ const JSONFiles = {
 // list of compounds to include (should match the keys for files/api endpoints
 const compounds = Object.keys(JSONFiles);
 
-// all potential attributes to plot for the x-axis and their callbacks
+/**
+ * Where to load each compound's data from. Each source can be:
+ *  - a filename or URL; the type (json, csv, tsv or ndjson) is taken from the extension
+ *  - an async function returning an array of records, eg () => fetch('/api/ethane').then(r => r.json())
+ *  - an object of {url, type, fields} or {load, fields}, where fields maps date, value and id to the columns of the
+ *    source that hold them, eg {url: 'data/ethane.csv', type: 'csv', fields: {date: 'epoch', value: 'mr'}}
+ *
+ * If not given to DataSelector, the sources in JSONFiles are used.
+ */
+const dataSources = Object.fromEntries(compounds.map(c => [c, {url: JSONFiles[c], type: 'json', fields: {id: 'flask_number'}}]));
+
+// all potential attributes to plot for the x-axis and their callbacks; options are plotted as times unless given
+// as {value, type}, where type is 'time', 'linear', 'log' or 'categorical'
 const xOptions = {
     'date': (d) => d.date,
     'meas_date': (d) => d.meas_date,
+    'month of year': {value: (d) => d.month, type: 'linear'},
+    'flag': {value: (d) => d.flag, type: 'categorical'}
 }
 
-// all potential attributes to plot for the y-axis and their callbacks
+// all potential attributes to plot for the y-axis and their callbacks; options are linear unless given as {value, type}
 const yOptions = {
     'month': (d) => d.month,
     'day': (d) => d.day,
     'year': (d) => d.year,
-    'MR': (d) => d.value
+    'MR': (d) => d.value,
+    'MR (log)': {value: (d) => d.value, type: 'log'}
 }
 
 // object key to use for y-data when plotting
@@ -40,7 +55,19 @@ const dataYDefault = yOptions['MR'];
 // difference of "UTC/Epoch" times provided in JSON from real UTC
 const UTCCorrection = -2;
 
-// C formatter for time, passed to d3.timeFormat() for the x axis labels
+// IANA time zone the data's times are given in, eg 'Etc/GMT+2' for UTC-2; if null, UTCCorrection is used instead
+const dataTimeZone = null;
+
+// IANA time zone to show times in on the axes, tooltips and axis inputs, eg 'America/Godthab'; selections are always
+// keyed and exported by UTC
+const displayTimeZone = 'UTC';
+
+// what identifies a sample, so it's selected, exported and matched across compounds by it; the flask number is added
+// to the sample date since two flasks are often sampled in the same minute. Can also be a function of a record
+// returning its key, or null to key by the sample date alone
+const recordId = 'flask_number';
+
+// C formatter for time, passed to d3.utcFormat() for the time axis labels in the display time zone
 const CTimeFormat = '%Y-%m-%d %H:%M';
 
 // Limit to be imposed on zooming for the x-axis
@@ -55,6 +82,9 @@ const height = 450;
 // value to round all y-axis labels to
 const yAxisRound = 50;
 
+// number of points shown at once above which they're drawn on a canvas instead of as SVG circles, for speed
+const canvasThreshold = 10000;
+
 /**
  * Create a formatted string for the toolTip that's displayed on mouseover.
  * The plot and specific data instance are passed in by default.
@@ -65,9 +95,17 @@ const yAxisRound = 50;
  */
 function toolTipText(plot, d) {
     let mr = Math.floor(d.value * 100) / 100;
-    return `<strong>${plot.formatISODate(d.date)}<br>Flask #: ${d.flask_number}<br>MR: </strong>${mr} pptv`;
+    return `<strong>${plot.formatISODate(d.date, null, plot.displayTimeZone)} (${plot.displayTimeZone})<br>Flask #: ${d.flask_number}<br>MR: </strong>${mr} pptv`;
 }
 
+// categories selections can be flagged with, and the color to show them in; the first is selected by default
+const flagCategories = {
+    'manual': {label: 'Manual reject', color: '#949494'},
+    'contamination': {label: 'Contamination', color: '#8e44ad'},
+    'instrument': {label: 'Instrument fault', color: '#2471a3'},
+    'suspect': {label: 'Suspect', color: '#d4ac0d'}
+};
+
 // margins for the plot
 const plotMargins = {
     top: 10,
@@ -76,7 +114,7 @@ const plotMargins = {
     left: 60
 };
 
-// necessary elements in the DOM
+// elements in the DOM; the first eight are necessary, and the rest enable the features that use them
 const plotDOMElements = {
     selector: document.getElementById('compound-select'),
     ySelector: document.getElementById('y-value-select'),
@@ -85,20 +123,57 @@ const plotDOMElements = {
     xMin: document.getElementById('xMin'),
     xMax: document.getElementById('xMax'),
     yMin: document.getElementById('yMin'),
-    yMax: document.getElementById('yMax')
+    yMax: document.getElementById('yMax'),
+    importFile: document.getElementById('importFile'),
+    flagSelector: document.getElementById('flag-select'),
+    dragMode: document.getElementById('drag-mode-select'),
+    scatterTarget: document.getElementById('scatter-target-select'),
+    linkSelections: document.getElementById('linkSelections'),
+    wholeSample: document.getElementById('wholeSample'),
+    exportDialog: document.getElementById('exportDialog'),
+    exportFormat: document.getElementById('export-format-select'),
+    exportFlags: document.getElementById('exportFlags'),
+    exportMetadata: document.getElementById('exportMetadata'),
+    cleanScope: document.getElementById('clean-scope-select'),
+    cleanMode: document.getElementById('clean-mode-select'),
+    cleanFormat: document.getElementById('clean-format-select'),
+    outlierMethod: document.getElementById('outlier-method-select'),
+    outlierWindow: document.getElementById('outlierWindow'),
+    outlierThreshold: document.getElementById('outlierThreshold'),
+    overlayLine: document.getElementById('overlay-line-select'),
+    overlayBand: document.getElementById('overlay-band-select'),
+    overlayWindow: document.getElementById('overlayWindow'),
+    overlayWidth: document.getElementById('overlayWidth'),
+    overlayFit: document.getElementById('overlayFit'),
+    previewMode: document.getElementById('preview-mode-select')
 };
 
-// necessary buttons in the DOM
+// buttons in the DOM; saveSelect, downloadJSON, clearPlot, clearAll, resetAxes and undoZoom are necessary
 const DOMButtons = {
     saveSelect: document.getElementById('btn-saveSelect'),
     downloadJSON: document.getElementById('btn-downloadJSON'),
+    confirmExport: document.getElementById('btn-confirmExport'),
+    exportCleaned: document.getElementById('btn-exportCleaned'),
+    importJSON: document.getElementById('btn-importJSON'),
     clearPlot: document.getElementById('btn-clearPlot'),
     clearAll: document.getElementById('btn-clearAll'),
     resetAxes: document.getElementById('btn-resetAxes'),
-    undoZoom: document.getElementById('btn-undoZoom')
+    reloadData: document.getElementById('btn-reloadData'),
+    undoZoom: document.getElementById('btn-undoZoom'),
+    suggestOutliers: document.getElementById('btn-suggestOutliers'),
+    acceptAllSuggestions: document.getElementById('btn-acceptAllSuggestions'),
+    acceptZoomSuggestions: document.getElementById('btn-acceptZoomSuggestions'),
+    acceptSuggestion: document.getElementById('btn-acceptSuggestion'),
+    rejectSuggestion: document.getElementById('btn-rejectSuggestion'),
+    clearSuggestions: document.getElementById('btn-clearSuggestions'),
+    toggleMultiples: document.getElementById('btn-toggleMultiples'),
+    undoSelect: document.getElementById('btn-undoSelect'),
+    redoSelect: document.getElementById('btn-redoSelect'),
+    discardSession: document.getElementById('btn-discardSession')
 };
 
-// necessary CSS elements to class and format items in the DOM
+// CSS classes and ids to format items in the DOM; of the ids, canvasID, selectedTextBoxID, jsonTextBoxID and jsonListID
+// are necessary, and the rest enable the features that use them
 const CSS = {
     canvasID: '#dataSelectorCanvas',
     selectedTextBoxID: '#selectedTextBox',
@@ -106,26 +181,55 @@ const CSS = {
     dataPointClass: 'data-point',
     jsonTextBoxID: '#jsonTextBox',
     jsonListID: '#jsonList',
+    importReportID: '#importReport',
+    errorBoxID: '#dataSelectorErrors',
+    loadProgressID: '#loadProgress',
     selectedOutlierClass: 'selectedOutlier',
+    selectedElsewhereClass: 'selectedElsewhere',
+    suggestedOutlierClass: 'suggestedOutlier',
+    reviewOutlierClass: 'reviewOutlier',
+    suggestionStatusID: '#suggestionStatus',
+    smallMultiplesID: '#smallMultiples',
+    multiplesHoverClass: 'multiplesHover',
+    multiplesHighlightClass: 'multiplesHighlight',
+    multiplesBrushClass: 'multiplesBrush',
     axisLinesClass: 'axisLines',
-    axisTextClass: 'axisText'
+    axisTextClass: 'axisText',
+    overlayLineClass: 'overlayLine',
+    overlayBandClass: 'overlayBand',
+    overlayFitClass: 'overlayFit',
+    previewGreyClass: 'previewGrey',
+    previewSummaryID: '#previewSummary'
 };
 
-DataSelectorUI = new DataSelector(
+// options can also be given positionally, in the order of positionalOptions in index.js
+DataSelectorUI = new DataSelector({
     compounds,
     dataXDefault,
     xOptions,
     dataYDefault,
     yOptions,
     CTimeFormat,
-    UTCCorrection,
+    UTCoffset: UTCCorrection,
     width,
     height,
     xZoomLimit,
     yAxisRound,
     CSS,
-    plotMargins,
-    plotDOMElements,
+    margins: plotMargins,
+    DOMelements: plotDOMElements,
     DOMButtons,
-    toolTipText
-);
+    toolTipText,
+    flagCategories,
+    dataSources,
+    canvasThreshold,
+    dataTimeZone,
+    displayTimeZone,
+    recordId
+});
+
+// optional; load all compounds in the background so switching compounds is instant
+// (a misconfigured plot lists its problems in the page and is left inert, so only preload a working one)
+if (!DataSelectorUI.configurationProblems.length) {
+    DataSelectorUI.preloadAll();
+}
@@ -5,66 +5,218 @@ class DataSelector {
     /**
      * Create the UI and plot.
      *
-     * @param compounds - list of compound names that should be in drop-down menu
-     * @param dataXdefault
-     * @param xOptions
-     * @param dataYDefault - object key to use for plotting, eg d['value'] if dataXKey = 'value'
-     * @param yOptions - array of options for y-axis data
-     * @param CTimeFormat
-     * @param UTCoffset
-     * @param width - width dimension in pixels for the plot
-     * @param height - height dimension in pixels for the plot
-     * @param xZoomLimit - smallest time period to allow for an x axis zoom in milliseconds
-     * @param yAxisRound - unit of y-axis that display values should be rounded to
-     * @param CSS - object of necessary CSS classes for data format, selection, etc
-     * @param margins
-     * @param DOMelements
-     * @param DOMButtons - necessary buttons in the DOM
-     * @param toolTipIncludes - 'salt' for the tooltip; The field of the JSON data that should be added to date in all
-     *     displays, eg '2019-03-19 02:20' + d['sample_ID'] could be used to enforce uniqueness with shared dates
-     */
-    constructor(compounds, dataXdefault, xOptions, dataYDefault, yOptions, CTimeFormat, UTCoffset,
-                width, height, xZoomLimit, yAxisRound,
-                CSS, margins, DOMelements, DOMButtons,
-                toolTipIncludes) {
+     * Takes an object of the options below, or the same options positionally in the order of positionalOptions.
+     * Options are checked before anything is drawn; if any are invalid, every problem is listed in the error box (or a
+     * box added to the top of the page if that can't be found) and in configurationProblems, and the plot is left
+     * inert: nothing is drawn or listened to, and its other methods shouldn't be called.
+     *
+     * @param {object} options
+     * @param options.compounds - list of compound names that should be in drop-down menu
+     * @param options.dataXDefault - xOption to plot by default, as its name, callback or {value, type}; defaults to
+     *     the first
+     * @param options.xOptions - object of optionName: callback for x-axis data, or optionName: {value: callback, type},
+     *     where type is 'time' (the default for x), 'linear', 'log' or 'categorical'; a 'vs. <compound>' option is
+     *     added for each compound to plot against the chosen compound
+     * @param options.dataYDefault - yOption to plot by default, given the same way as dataXDefault
+     * @param options.yOptions - object of options for y-axis data; given the same way as xOptions, but 'linear' by
+     *     default
+     * @param [options.CTimeFormat='%Y-%m-%d %H:%M'] - format of times on the axes, see d3.utcFormat()
+     * @param [options.UTCoffset=0] - hours to add to times in the data to get UTC; only used if dataTimeZone is null
+     * @param [options.width=800] - width dimension in pixels for the plot
+     * @param [options.height=450] - height dimension in pixels for the plot
+     * @param [options.xZoomLimit=0] - smallest time period to allow for an x axis zoom in milliseconds
+     * @param [options.yAxisRound=1] - unit of y-axis that display values should be rounded to
+     * @param options.CSS - object of necessary CSS ids and classes for data format, selection, etc; classes left out
+     *     get the names in dataSelectorDefaults
+     * @param [options.margins] - margins in pixels for top, bottom, right, left
+     * @param options.DOMelements - inputs and other elements in the DOM; those in requiredConfiguration are needed, and
+     *     the rest (see optionalConfiguration) enable the features that use them when given
+     * @param options.DOMButtons - buttons in the DOM; required and optional as for DOMelements
+     * @param [options.toolTipText] - function of (plot, d) giving the HTML of the tooltip for a data instance
+     * @param [options.flagCategories] - object of name: {label, color} categories selections can be flagged with; the
+     *     first is the default
+     * @param options.dataSources - object of compound: source of its data, where a source is anything accepted by
+     *     DataSource; if left out of the positional form, the page's global JSONFiles is used
+     * @param [options.canvasThreshold=10000] - points are drawn on a canvas instead of as SVG circles when more than
+     *     this many are shown at once
+     * @param [options.dataTimeZone=null] - IANA name of the time zone times in the data are given in, eg 'Etc/GMT+2';
+     *     epoch times and date strings without an offset are read as wall-clock times in it. If null, times are
+     *     corrected by UTCoffset
+     * @param [options.displayTimeZone='UTC'] - IANA name of the time zone to show times in on the axes, tooltips and
+     *     axis inputs; selections are always keyed by UTC
+     * @param [options.selections=null] - SelectionStore to keep selections in; give several plots the same store to
+     *     share selections between them, eg for raw and calibrated data of the same samples
+     * @param [options.recordId=null] - what identifies a record, so it's selected, exported, imported and matched
+     *     across compounds by it: a field whose value is added to the sample date, eg 'flask_number' for
+     *     '2019-03-19 02:20 3625-99', or a function of a record returning its key. If null, the sample date alone
+     */
+    constructor(...args) {
+        const [options, problems] = DataSelector.resolveOptions(args);
+
+        /** Problems found with the options; if there are any, they're shown in the page and the plot is left inert*/
+        this.configurationProblems = problems;
+
+        if (problems.length) {
+            return;
+        }
+
+        const {compounds, dataXDefault, xOptions, dataYDefault, yOptions, CTimeFormat, UTCoffset,
+            width, height, xZoomLimit, yAxisRound, CSS, margins, DOMelements, DOMButtons,
+            toolTipText, flagCategories, dataSources, canvasThreshold, dataTimeZone, displayTimeZone, selections,
+            recordId
+        } = options;
+
+        /** Number of this plot among those on the page; used to namespace its listeners on the window*/
+        this.instanceId = ++dataSelectorCount;
+
         /** Array of compound names that are part of the UI and have corresponding data*/
         this.compounds = compounds;
+        /** Object of compound: DataSource to load its data from*/
+        this.dataSources = {};
+        for (let c of compounds) {
+            this.dataSources[c] = (dataSources[c] instanceof DataSource) ? dataSources[c] : new DataSource(dataSources[c]);
+        }
+        const [xCallbacks, xTypes] = splitAxisOptions(xOptions, 'time');
+        const [yCallbacks, yTypes] = splitAxisOptions(yOptions, 'linear');
+        /** Object of optionName: compound for the xOptions that plot another compound's y values on the x axis*/
+        this.scatterCompounds = {};
+        for (let c of compounds) {
+            // each needs its own callback, since options are looked up by callback
+            xCallbacks[`vs. ${c}`] = (d) => this.partnerValue(d);
+            this.scatterCompounds[`vs. ${c}`] = c;
+        }
+        /** Map of record: record of the x-axis compound with the same key, when plotting compound vs compound*/
+        this.partners = new Map();
         /** What xOption to plot by default; key must be in xOptions*/
         this.dataXDefault = dataXDefault;
         /** Object of optionName: callbackFunction for retrieving data for x-axis*/
-        this.xOptions = xOptions;
+        this.xOptions = xCallbacks;
+        /** Object of optionName: axis type ('time', 'linear', 'log' or 'categorical') for each xOption*/
+        this.xTypes = xTypes;
         /** What yOption to plot by default; key must be in yOptions*/
         this.dataYDefault = dataYDefault;
         /** Object of optionName: callbackFunction for retrieving data for y-axis*/
-        this.yOptions = yOptions;
+        this.yOptions = yCallbacks;
+        /** Object of optionName: axis type for each yOption*/
+        this.yTypes = yTypes;
         /** map to hold compound: {xy: limits}*/
         this.zoomHistory = new Map();
-        /** timeformat to be assigned for the x axis*/
-        this.timeFormat = d3.timeFormat(CTimeFormat);
+        /** timeformat to be assigned for the x axis; applied to times already shifted into the display time zone*/
+        this.timeFormat = d3.utcFormat(CTimeFormat);
         /** Object of buttons in the DOM needed to work*/
         this.buttons = DOMButtons;
         /** Object of css styles needed to format plot*/
         this.CSS = CSS;
-        /** Map of selected data points, sorted by compound*/
-        this.selectionsByCompound = new Map();
-        /** Object containing date: <Set> of compound pairs*/
-        this.selectionsByDate = new Map();
+        /** Selections of every compound, possibly shared with other plots; changes are reported by selectionchange,
+         * and recorded for undo only by the plot whose command made them*/
+        this.selections = (selections === null) ? new SelectionStore() : selections;
+        this.selections.subscribe((compound, key, before, after) => {
+            if (commandingDataSelectors[commandingDataSelectors.length - 1] === this) {
+                this.history.record(compound, key, before, after);
+            }
+            this.noteChange(compound, key, before);
+        });
+        /** Object of name: {label, color} categories that selections can be flagged with*/
+        this.flagCategories = flagCategories;
+        /** Flag category given to new selections*/
+        this.activeFlag = Object.keys(flagCategories)[0];
         /** Compound last rendered on the plot*/
         this.previousCompound = undefined;
-        /** Dates selected for the current compound*/
-        this.selectedDates = undefined;
         /** Step to round to for values on the y axis.*/
         this.yRound = yAxisRound;
         /** Millisecond limit for zooming in; ie force a small zoom window to be at least zoomLimitX in milliseconds*/
         this.xZoomLimit = xZoomLimit;
         /** Offset from UTC in hours; used to correct data if incoming epoch times are not in UTC*/
         this.UTCoffset = UTCoffset;
-        /** Field of the JSON data that should be added to date in all displays for uniqueness*/
+        /** IANA name of the time zone times in the data are given in, or null to correct them by UTCoffset*/
+        this.dataTimeZone = dataTimeZone;
+        /** IANA name of the time zone times are displayed in*/
+        this.displayTimeZone = displayTimeZone;
+        /** Function of (plot, d) giving the HTML of the tooltip for a data instance*/
         this.toolTipText = toolTipText;
+        /** Function of a data instance giving the key it's selected under, or null to key by the sample date alone*/
+        this.recordId = (typeof recordId === 'string') ? (d) => SelectionStore.formatKey(d.date, d[recordId]) : recordId;
         /** List of DOM elements necessary for plot to be controlled*/
         this.elements = DOMelements;
         /** Margins in pixels for top, bottom, right, left*/
         this.margins = margins;
+        /** Key the session is autosaved under in localStorage; unique to this dataset configuration and how its
+         * records are keyed, so sessions saved under other keys aren't restored*/
+        this.sessionKey = 'DataSelector:' + JSON.stringify({
+            sources: this.compounds.map(c => [c, this.dataSources[c].describe()]),
+            recordId: (typeof recordId === 'function') ? String(recordId) : recordId,
+            xOptions: Object.keys(this.xOptions),
+            yOptions: Object.keys(this.yOptions)
+        });
+        /** Map of compound: promise of its loaded data, so each source is only fetched and parsed once*/
+        this.dataCache = new Map();
+        /** Map of compound: keys shared by more than one of its records, see checkKeys()*/
+        this.sharedKeys = new Map();
+        /** Map of compound: Set of the keys of its loaded records, see checkKeys()*/
+        this.recordKeys = new Map();
+        /** Records whose x values have already been converted to Dates*/
+        this.convertedRecords = new WeakSet();
+        /** Timeout id of a pending autosave, if any*/
+        this.sessionTimer = undefined;
+        /** Session state as the page opened with it, or as last saved; autosaves are skipped until it changes*/
+        this.savedState = undefined;
+        /** Undo/redo stacks of changes to selections*/
+        this.history = new SelectionHistory();
+        /** Data instances suggested as outliers for the current compound and y option, sorted by x*/
+        this.suggestions = [];
+        /** Index in suggestions of the suggestion being reviewed*/
+        this.reviewIndex = 0;
+        /** Width and height of the plot in SVG units; the SVG's viewBox*/
+        this.width = width;
+        this.height = height;
+        /** Number of points shown above which they're drawn on the canvas element instead of as SVG circles*/
+        this.canvasThreshold = canvasThreshold;
+        /** True if points are currently drawn on the canvas element*/
+        this.useCanvas = false;
+        /** Data currently shown on the plot*/
+        this.plotData = [];
+        /** Quadtree of plotData by SVG coordinates for finding points drawn on the canvas; null when using SVG*/
+        this.quadtree = null;
+        /** Data instance under the mouse when drawing on the canvas*/
+        this.hovered = undefined;
+        /** Id of the pending animation frame for redrawing the canvas, if any*/
+        this.drawRequest = undefined;
+        /** What dragging does; select with a 'rectangle' or 'lasso', or 'pan' the axes*/
+        this.dragMode = 'rectangle';
+        /** [x, y] where the current rectangle drag started*/
+        this.dragOrigin = [0, 0];
+        /** Vertices of the lasso being drawn, or null if not drawing one*/
+        this.lassoPoints = null;
+        /** Mouse position, scales and limits when the current pan started, or null if not panning*/
+        this.panStart = null;
+        /** Factor the axes grow or shrink by for each click of the mouse wheel*/
+        this.wheelZoomFactor = 1.2;
+        /** The zoomHistory stack and its height before the current wheel or pan gesture, or null if none*/
+        this.gesture = null;
+        /** Timeout that ends a wheel gesture once the wheel stops*/
+        this.gestureTimer = undefined;
+        /** Listeners of the events host pages can subscribe to with on()*/
+        this.events = d3.dispatch('selectionchange', 'render', 'zoom', 'compoundchange', 'export');
+        /** Map of compound: <Map> of key: flag before its first change since selectionchange was last emitted*/
+        this.pendingChanges = new Map();
+        /** Compound and x/y options of the last completed render, to tell zooms apart from other changes*/
+        this.renderedView = undefined;
+        /** How selected points are shown while previewing the cleaned series: 'hide', 'grey', or 'off' to show them*/
+        this.previewMode = 'off';
+        /** True while the next render should fit the axes to the points a preview leaves*/
+        this.previewFit = false;
+        /** Limits pushed onto the zoom history by fitting a preview, to be undone when the preview ends*/
+        this.previewLimits = null;
+
+        // position the canvas element directly beneath the SVG
+        d3.select(this.CSS.canvasID).style('position', 'relative');
+
+        /** Canvas element for drawing points when there are too many for SVG; created first so it's beneath the SVG*/
+        this.canvas = d3.select(this.CSS.canvasID).append('canvas')
+            .style('position', 'absolute')
+            .style('left', 0)
+            .style('top', 0)
+            .style('pointer-events', 'none');
 
         /** SVG added to the canvas, the base for all plot groups and objects*/
         this.svg = d3.select(this.CSS.canvasID).append('svg')
@@ -72,6 +224,15 @@ class DataSelector {
             .attr('height', height)
             .call(this.makeResponsive());
 
+        /** Hidden circle used to read the computed styles of CSS classes for drawing on the canvas*/
+        this.styleProbe = this.svg.append('circle').attr('r', 0).attr('visibility', 'hidden');
+
+        /** Outline drawn over the point under the mouse when drawing on the canvas*/
+        this.highlight = this.svg.append('circle')
+            .attr('fill', 'none')
+            .style('pointer-events', 'none')
+            .style('display', 'none');
+
         /** Text box within the DOM*/
         this.textBox = d3.select(this.CSS.selectedTextBoxID);
         /** Calculated width for the graph object with margins*/
@@ -83,11 +244,30 @@ class DataSelector {
             .attr('width', this.graphWidth)
             .attr('height', this.graphHeight);
 
+        /** Id of the clip path keeping overlays within the axes; numbered so each plot on a page has its own*/
+        this.overlayClipID = `dataSelectorOverlayClip${this.instanceId}`;
+        /** Rectangle of the clip path, sized to the axes' ranges whenever overlays are drawn*/
+        this.overlayClip = this.svg.append('defs').append('clipPath')
+            .attr('id', this.overlayClipID)
+            .append('rect');
+        /** Group for reference lines and bands; added first so they're beneath the axes and points*/
+        this.overlays = this.graph.append('g')
+            .attr('clip-path', `url(#${this.overlayClipID})`)
+            .style('pointer-events', 'none');
+
         /** Invisible rectangle used for selecting; style is toggled when active*/
         this.selectangle = this.svg.append('rect').style('opacity', 0).style('fill', null);
 
-        /** Group added to the body for the tooltip; adding to body keeps it above all else*/
-        this.toolTipGroup = d3.select('body').append('g')
+        /** Free-form polygon used for selecting in lasso mode; shown only while drawing*/
+        this.lasso = this.svg.append('path')
+            .attr('stroke', 'black')
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4, 2')
+            .attr('fill', 'rgba(47, 79, 79, .1)')
+            .style('display', 'none');
+
+        /** Group added to the plot's container for the tooltip; raised to the end of it so it's above the plot*/
+        this.toolTipGroup = d3.select(this.CSS.canvasID).append('g')
             .style('opacity', 0)
             .attr('pointer-events', "none");
 
@@ -99,11 +279,13 @@ class DataSelector {
         /** Div added to the toolTipGroup that will contain text; makes for easy sizing*/
         this.toolTip = this.toolTipGroup.append('div').attr('class', this.CSS.toolTipClass);
 
-        /** Filter for drag events that ignores buttons, ctrl + drag, and any clicks on data-point objects */
+        /** Filter for drag events that ignores buttons, ctrl + drag, and any clicks on data-point objects unless panning */
         let filter = () => {  // set drag on SVG for rectangle-selecting
             return !d3.event.ctrlKey
                 && !d3.event.button
-                && !d3.select(d3.event.target).classed(this.CSS.dataPointClass);
+                && (this.dragMode === 'pan'
+                    || (!d3.select(d3.event.target).classed(this.CSS.dataPointClass)
+                        && this.findPoint(d3.mouse(this.svg.node())) === undefined));  // points drawn on the canvas
         };
 
         // assign drag functions to SVG
@@ -113,20 +295,68 @@ class DataSelector {
             .on('drag', this.dragUpdate())
             .on('end', this.dragEnd()));
 
+        this.svg.on('wheel', () => this.wheelZoom());
+
         // graph-wide event listener -- filters for clicks on data-points only
         this.graph.on('click', () => {
             if (d3.select(d3.event.target).classed(this.CSS.dataPointClass)) { // only handle clicked data-points
                 if (d3.event.shiftKey) {  // if shift was held, don't update, keep the tooltip active instead
                     // pass the data instance, and a fake index and array that contains the target event
-                    this.toolTipGroup.holder = d3.event.target.__data__.date.getTime();
+                    this.toolTipGroup.holder = this.recordKey(d3.event.target.__data__);
                     this.toolTipGroup.hold.reset(true);
                     this.handleMouseOver(d3.event.target.__data__, 0, [d3.event.target]);
                 }
+                this.beginCommand();
                 this.updateClicked(d3.event.target, true);
                 // call with a flag; if already found in set, remove it
+                this.endCommand();
+            }
+        });
+
+        // the same for points drawn on the canvas, which are found by position instead of event target
+        this.svg.on('click.canvas', () => {
+            const d = this.findPoint(d3.mouse(this.svg.node()));
+
+            if (d !== undefined) {
+                if (d3.event.shiftKey) {
+                    this.toolTipGroup.holder = this.recordKey(d);
+                    this.toolTipGroup.hold.reset(true);
+                    this.handleMouseOver(d, 0, [this.highlight.node()]);
+                }
+                this.beginCommand();
+                this.toggleDatum(d, true);
+                this.endCommand();
+                this.commitSelections(this.previousCompound);
+                this.requestDraw();
+            }
+        });
+
+        // right-clicking a point selected in other compounds selects it in this one too
+        this.graph.on('contextmenu', () => {
+            if (d3.select(d3.event.target).classed(this.CSS.dataPointClass)) {
+                d3.event.preventDefault();
+
+                if (this.propagateSelection(d3.event.target.__data__)) {
+                    this.markPoint(d3.event.target);
+                }
+            }
+        });
+
+        this.svg.on('contextmenu.canvas', () => {
+            const d = this.findPoint(d3.mouse(this.svg.node()));
+
+            if (d !== undefined) {
+                d3.event.preventDefault();
+
+                if (this.propagateSelection(d)) {
+                    this.requestDraw();
+                }
             }
         });
 
+        this.svg.on('mousemove.canvas', () => this.hoverCanvas(this.findPoint(d3.mouse(this.svg.node()))));
+        this.svg.on('mouseleave.canvas', () => this.hoverCanvas(undefined));
+
         /** Group for xAxis elements*/
         this.xAxisGroup = this.graph.append('g').attr('transform',
             `translate(0, ${this.graphHeight-this.margins.top})`);
@@ -135,10 +365,72 @@ class DataSelector {
         this.yAxisGroup = this.graph.append('g').attr('transform',
             `translate(${this.margins.left}, 0)`);
 
+        /** Stacked view of every compound, drawn only while shown*/
+        this.multiples = new SmallMultiples(this, this.CSS.smallMultiplesID);
+
         this.initListeners();
-        this.initVars();
+        this.initVars(this.loadSession());
     }
 
+    /**
+     * Turn the constructor's arguments into a complete object of options, filling in defaults and checking them
+     *
+     * @param {Array} args - arguments given to the constructor; an object of options, or the options positionally
+     * @returns {[object, string[]]} - the options, with dataXDefault and dataYDefault given as callbacks, and every
+     *     problem found with them; problems are also shown in the page
+     */
+    static resolveOptions(args) {
+        const given = (args.length === 1 && args[0] !== null && typeof args[0] === 'object' && !Array.isArray(args[0]))
+            ? args[0] : Object.fromEntries(positionalOptions.map((name, i) => [name, args[i]]));
+
+        const options = Object.assign({}, dataSelectorDefaults);
+
+        for (let [name, value] of Object.entries(given)) {
+            if (value !== undefined) {
+                options[name] = value;
+            }
+        }
+
+        options.CSS = Object.assign({}, dataSelectorDefaults.CSS, given.CSS);
+
+        if (given !== args[0] && options.dataSources === null && typeof JSONFiles !== 'undefined') {
+            // the positional form originally read sources from a global JSONFiles defined in an in-html script
+            // (b/c django templating); kept for it only, so plots given options never share page globals
+            options.dataSources = JSONFiles;
+        }
+
+        const problems = checkOptions(options);
+
+        if (problems.length) {
+            showConfigurationProblems(problems, options.CSS.errorBoxID);
+            return [options, problems];
+        }
+
+        for (let [name, axisOptions] of [['dataXDefault', options.xOptions], ['dataYDefault', options.yOptions]]) {
+            let option = options[name];
+
+            if (option === null) {
+                option = Object.values(axisOptions)[0];
+            } else if (typeof option === 'string') {
+                option = axisOptions[option];
+            }
+
+            options[name] = (typeof option === 'function') ? option : option.value;
+        }
+
+        return [options, problems];
+    };
+
+    /**
+     * Check that optional elements or buttons were given, so the feature using them can be set up
+     *
+     * @param {...string} keys - keys of DOMelements or DOMButtons
+     * @returns {boolean} - true if every one was given
+     */
+    hasControls(...keys) {
+        return keys.every(key => this.elements[key] || this.buttons[key]);
+    };
+
     /**
      * Update the axes with optional limits on the x and y axes.
      *
@@ -157,746 +449,4558 @@ class DataSelector {
     };
 
     /**
-     * Closure on starting function for dragging that makes this (the plot) 'that'
-     * @returns {Function} - the function that should be called when a d3.drag event occurs
+     * Add, replace or remove a listener of an event, eg plot.on('selectionchange.sidebar', e => ...)
+     *
+     * Listeners are called with the plot as this and an object describing the event:
+     *  - selectionchange: {compound, added, removed, reflagged, flags}, lists of keys (see recordKey()) changed by one
+     *    action, and an object of key: flag for those added or reflagged
+     *  - render: {compound, xOption, yOption, limits, points}, once the plot is drawn
+     *  - zoom: {compound, limits, previous}, when the limits change without the compound or options changing
+     *  - compoundchange: {compound, previous}
+     *  - export: {kind, format, metadata}, where kind is 'selections' or 'cleaned', once files are downloaded
+     *
+     * @param {string} type - event type, optionally with a .name so several listeners can be added
+     * @param {Function|null} [listener] - the listener, or null to remove it
+     * @returns {DataSelector|Function} - this plot, or the current listener if none was given
      */
-    dragStart = () => {
-        const that = this;
+    on(type, listener) {
+        if (arguments.length < 2) {
+            return this.events.on(type);
+        }
 
-        return function() {
-            // ensure rectangle is above all other elements, set visible and define as 1x1px to start
-            that.selectangle.raise()
-                .style('opacity', .85)
-                .attr('stroke-width', 2)
-                .attr('rx', 2)
-                .attr('ry', 2)
-                .attr('x', d3.mouse(this)[0])
-                .attr('y', d3.mouse(this)[1])
-                .attr('height', 1)
-                .attr('width', 1)
-                .attr('stroke', 'black')
-                .attr('fill', 'none');
-        };
+        this.events.on(type, listener);
+        return this;
     };
 
     /**
-     * Closure on drag update function for dragging that makes this (the plot) 'that'
-     * @returns {Function} - the function that should be called when a d3.drag update events occur
+     * Call the listeners of an event, showing any error they throw instead of interrupting the plot
+     *
+     * @param {string} type - event type, see on()
+     * @param {object} event - object describing the event
      */
-    dragUpdate = () => {
-        const that = this;
+    emit(type, event) {
+        try {
+            this.events.call(type, this, event);
+        } catch (e) {
+            this.showError(`A '${type}' listener failed: ${e.message}`);
+        }
+    };
 
-        return function() {
-            let width, height;
+    /**
+     * Note a change to a selection, to be reported by the next selectionchange event
+     *
+     * Everything changed by the same action is reported together, once the action is finished.
+     *
+     * @param {string} compound - compound the selection changed in
+     * @param {string} key - key of the data instance, see recordKey()
+     * @param {string|undefined} before - flag of the key before the change, or undefined if it wasn't selected
+     */
+    noteChange(compound, key, before) {
+        if (!this.pendingChanges.size) {
+            Promise.resolve().then(() => this.emitSelectionChanges());
+        }
 
-            width = d3.mouse(this)[0] - parseInt(that.selectangle.attr('x'));
-            height = d3.mouse(this)[1] - parseInt(that.selectangle.attr('y'));
+        if (!this.pendingChanges.has(compound)) {
+            this.pendingChanges.set(compound, new Map());
+        }
 
-            // the below does nothing for right --> left selecting (intentional for now)
-            if (width >= 0) {
-                that.selectangle.attr('width', width)
-            }
+        const changes = this.pendingChanges.get(compound);
 
-            if (height >= 0) {
-                that.selectangle.attr('height', height)
-            }
-        };
+        if (!changes.has(key)) {
+            changes.set(key, before);
+        }
     };
 
     /**
-     * Closure on drag end function for dragging that makes this (the plot) 'that'
-     * @returns {Function} - the function that should be called when a d3.drag end occurs
+     * Emit a selectionchange event for each compound with changes noted since the last, leaving out keys that ended
+     * as they began
      */
-    dragEnd() {
-        const that = this;
+    emitSelectionChanges() {
+        const pending = this.pendingChanges;
+        this.pendingChanges = new Map();
 
-        return function() {
-            let x, y;
+        for (let [compound, changes] of pending) {
+            const event = {compound, added: [], removed: [], reflagged: [], flags: {}};
 
-            let xStart = parseInt(that.selectangle.attr('x'));
-            let yStart = parseInt(that.selectangle.attr('y'));
-            let xEnd = xStart + parseInt(that.selectangle.attr('width'));
-            let yEnd = yStart + parseInt(that.selectangle.attr('height'));
+            for (let [key, before] of changes) {
+                const after = this.getFlag(compound, key);
 
-            if (d3.event.sourceEvent.shiftKey) {
-                // update the axes to show only what was selected
-                let yStartHold = yStart;  // hold on to value to allow re-assignment w/o conflict
+                if (after === before) {
+                    continue;
+                } else if (after === undefined) {
+                    event.removed.push(key);
+                    continue;
+                }
 
-                xStart = that.xScale.invert(xStart);
-                yStart = that.yScale.invert(yEnd);  // **yEnd/yStart reversed because SVG axes behavior
-                xEnd = that.xScale.invert(xEnd);
-                yEnd = that.yScale.invert(yStartHold);  // **yEnd/yStart reversed because SVG axes behavior
+                (before === undefined ? event.added : event.reflagged).push(key);
+                event.flags[key] = after;
+            }
 
-                if (xStart < that.limits.xMin || xEnd > that.limits.xMax) {
-                    // out-of-bounds default to the min and max
-                    xStart = that.limits.xMin;
-                    xEnd = that.limits.xMax;
-                } else if (xEnd - xStart < that.xZoomLimit) {
-                    // smaller than constant zoomLimit? Change limits to +/- half the zoom limit
-                    let xAvg = (xEnd.valueOf() + xStart.valueOf()) / 2;
+            if (event.added.length || event.removed.length || event.reflagged.length) {
+                this.emit('selectionchange', event);
+            }
+        }
 
-                    xStart = new Date(xAvg - that.xZoomLimit / 2);
-                    xEnd = new Date(xAvg + that.xZoomLimit / 2);
-                }
+        this.multiples.mark();
 
-                that.updateAxes(xStart, xEnd, yStart, yEnd);
-            } else {
-                // select all the points inside the rect and click them
-                const points = that.graph.selectAll(`.${that.CSS.dataPointClass}`)
-                    .filter((d, i, n) => {
-                        x = n[i].cx.baseVal.value;
-                        y = n[i].cy.baseVal.value;
-                        return ((x >= xStart && x <= xEnd) && (y >= yStart && y <= yEnd));
-                    });
+        // changes may have been made by another plot sharing the selections, so show them here too
+        if (this.previousCompound !== undefined && this.previewMode === 'hide') {
+            this.render(this.previousCompound);  // newly selected points need to be hidden, and others shown again
+        } else if (this.previousCompound !== undefined) {
+            this.graph.selectAll(`.${this.CSS.dataPointClass}`).each((d, i, n) => this.markPoint(n[i]));
 
-                // update points, and remove already-selected points in box IFF the alt-key is held
-                points.each((d, i, n) => that.updateClicked(n[i], d3.event.sourceEvent.altKey));
+            if (this.useCanvas) {
+                this.requestDraw();
             }
 
-            that.selectangle.style('opacity', 0);
-            that.selectangle.attr('width', 1);
-            that.selectangle.attr('height', 1);
-        };
+            this.commitSelections(this.previousCompound);
+            this.drawOverlays();  // overlays leave out selected points
+            this.updatePreviewSummary();
+        }
     };
 
     /**
-     * Create the scales for an axis, updating HTML while doing so.
-     *
-     * Returns the limits in an object, as well as the scale objects so they can be used elsewhere.
+     * Select keys of a compound as one undoable action, then re-render
      *
-     * @param {object} data - the data as loaded from JSON; used for determining limits if none given
-     * @param attr - callback to apply to data to get attribute for scale
-     * @param minVal - minimum value (or null)
-     * @param maxVal - maximum value (or null)
-     * @param minElement - DOM element to modify with min value
-     * @param maxElement - DOM element to modify with max value
-     * @param isDate - boolean to process axis as date or not
-     * @param round - rounding value for "nice" numeric axes
-     * @returns [minVal, maxVal, scale]
+     * @param {string|string[]} keys - keys to select, see recordKey(); keys with no data are selected all the same
+     * @param {string} [compound=this.previousCompound] - compound to select them in
+     * @param {string} [flag=this.activeFlag] - flag category to give them; already-selected keys are re-flagged
      */
-    processAxis(data, attr, minVal, maxVal, minElement, maxElement, isDate=false, round=1) {
-        let scale;
-        if (isDate) {
-            if (!minVal) {
-                minVal = d3.min(data, (d) => Math.min(attr(d)));
-            }
-
-            if (!maxVal) {
-                maxVal = d3.max(data, (d) => Math.max(attr(d)));
-            }
-
-            minVal = new Date(minVal);
-            maxVal = new Date(maxVal);
-
-            scale = d3.scaleTime()
-                    .domain([minVal, maxVal])
-                    .range([this.margins.left, this.graphWidth - this.margins.right]);
+    select(keys, compound=this.previousCompound, flag=this.activeFlag) {
+        if (!(flag in this.flagCategories)) {
+            throw new Error(`Unknown flag category '${flag}'`);
+        }
 
-            this.elements[minElement].value = minVal.toISOString().split('T')[0] + 'T00:00';
-            this.elements[maxElement].value = maxVal.toISOString().split('T')[0] + 'T00:00';
+        this.changeSelections(keys, compound, key => this.addSelection(compound, key, flag));
+    };
 
-        } else {
-            if (!maxVal) {
-                d3.min(data, (d) => Math.min(attr(d)));
-                maxVal = Math.ceil(d3.max(data, (d) => Math.max(attr(d))) / round) * round;
-            }
+    /**
+     * De-select keys of a compound as one undoable action, then re-render
+     *
+     * @param {string|string[]} keys - keys to de-select, see recordKey()
+     * @param {string} [compound=this.previousCompound] - compound to de-select them in
+     */
+    deselect(keys, compound=this.previousCompound) {
+        this.changeSelections(keys, compound, key => this.removeSelection(compound, key));
+    };
 
-            if (!minVal) {
-                minVal = Math.floor(d3.min(data, (d) => Math.min(attr(d))) / round) * round;
-            }
+    /**
+     * Apply a change to each of a list of keys as one undoable action, then re-render
+     *
+     * @param {string|string[]} keys - keys to change
+     * @param {string} compound - compound the keys are changed in
+     * @param {Function} change - function of a key that changes its selection
+     */
+    changeSelections(keys, compound, change) {
+        if (!this.selections.hasCompound(compound)) {
+            throw new Error(`Unknown compound '${compound}'`);
+        }
 
-            scale = d3.scaleLinear()
-                .domain([minVal, maxVal])
-                .range([this.graphHeight - this.margins.top, this.margins.bottom]).clamp(true).nice();
+        this.beginCommand();
+        [].concat(keys).forEach(change);
+        this.endCommand();
+        this.render(this.previousCompound);
+    };
 
-            this.elements[minElement].value = scale.domain()[0];
-            this.elements[maxElement].value = scale.domain()[1];
+    /**
+     * Switch the plot to a compound, as if it were chosen in the selector
+     *
+     * @param {string} compound - one of this.compounds
+     */
+    setCompound(compound) {
+        if (!this.compounds.includes(compound)) {
+            throw new Error(`Unknown compound '${compound}'`);
         }
 
-        return [minVal, maxVal, scale]
-    }
+        this.elements.selector.value = compound;
+        this.elements.selector.dispatchEvent(new Event('change'));
+    };
 
     /**
-     * Create the scales for this plot.
-     *
-     * Returns the limits in an object, as well as the scale objects so they can be used elsewhere.
+     * Change the plotted x/y options and axis limits, then re-render
      *
-     * @param {object} data - the data as loaded from JSON; used for determining limits if none given
-     * @param [xMin=Null] - the new min value for the x axis (must be a valid input to new Date(xMin))
-     * @param [xMax=Null] - the new max value for the x axis (must be a valid input to new Date(xMax))
-     * @param [yMin=Null] - the new min value for the y axis
-     * @param [yMax=Null] - the new max value for the y axis
-     * @param {number} yRound - unit of y-axis that display values should be rounded to
-     * @returns {[ScaleTime<number, number>, ScaleLinear<number, number>, {yMin: *, yMax: *, xMax: *, xMin: *}]}
+     * @param {object} [axes] - any of:
+     * @param {string} [axes.xOption] - name of the xOption to plot
+     * @param {string} [axes.yOption] - name of the yOption to plot
+     * @param [axes.xMin=null] - limits, given as for render(); if the options don't change, any left out are kept
+     *     from the current zoom, otherwise give all four or none for the most recent zoom (or default) of the options
+     * @param [axes.xMax=null]
+     * @param [axes.yMin=null]
+     * @param [axes.yMax=null]
      */
-    createScales(data, xMin=null, xMax=null, yMin=null, yMax=null, yRound=this.yRound) {
-        let xScale, yScale, xName, yName, limits, limitStack, stackHeight;
+    setAxes({xOption, yOption, xMin=null, xMax=null, yMin=null, yMax=null}={}) {
+        let limits = {xMin, xMax, yMin, yMax};
 
-        xName = reverseKeyLookup(this.xOptions, this.dataXDefault);
-        yName = reverseKeyLookup(this.yOptions, this.dataYDefault);
+        if (xOption !== undefined && !(xOption in this.xOptions)) {
+            throw new Error(`Unknown x option '${xOption}'`);
+        } else if (yOption !== undefined && !(yOption in this.yOptions)) {
+            throw new Error(`Unknown y option '${yOption}'`);
+        }
 
-        limitStack = this.zoomHistory.get(this.previousCompound).get(this.joinXYStrings(xName, yName));
+        if (xOption === undefined && yOption === undefined && this.limits !== undefined) {
+            limits = Object.fromEntries(Object.entries(limits).map(([k, v]) => [k, (v === null) ? this.limits[k] : v]));
+        }
 
-        if (xMin == null || xMax == null || yMin == null || yMax == null) {
-            // if no limits given, peek at stack and use those if available
-            stackHeight = limitStack.length;
-            if (stackHeight !== 0) {
-                limits = limitStack[stackHeight - 1];
-                xMin = limits.xMin;
-                xMax = limits.xMax;
-                yMin = limits.yMin;
-                yMax = limits.yMax;
-            }
+        if (xOption !== undefined) {
+            this.dataXDefault = this.xOptions[xOption];
+            this.elements.xSelector.value = xOption;
         }
 
-        [xMin, xMax, xScale] = this.processAxis(data, this.dataXDefault, xMin, xMax, "xMin",
-            "xMax", true);
-        [yMin, yMax, yScale] = this.processAxis(data, this.dataYDefault, yMin, yMax, "yMin",
-            "yMax", false);
+        if (yOption !== undefined) {
+            this.dataYDefault = this.yOptions[yOption];
+            this.elements.ySelector.value = yOption;
+            this.resetSuggestions();
+            this.multiples.refresh();
+        }
 
-        limits = {xMin, xMax, yMin, yMax};
+        this.updateAxes(limits.xMin, limits.xMax, limits.yMin, limits.yMax);
+    };
 
-        stackHeight = limitStack.length;
+    /**
+     * Update the axes as one step of a wheel or pan gesture.
+     *
+     * Only the latest limits of a gesture are kept on the zoomHistory stack, so Undo Zoom returns to where the gesture
+     * started instead of stepping back through every wheel click or mouse movement.
+     *
+     * @param xMin - new min limit on the x axis
+     * @param xMax - new max limit on the x axis
+     * @param yMin - new min limit on the y axis
+     * @param yMax - new max limit on the y axis
+     */
+    navigate(xMin, xMax, yMin, yMax) {
+        if (this.gesture === null) {
+            let xName = reverseKeyLookup(this.xOptions, this.dataXDefault);
+            let yName = reverseKeyLookup(this.yOptions, this.dataYDefault);
+            const stack = this.zoomHistory.get(this.previousCompound).get(this.joinXYStrings(xName, yName));
 
-        // only put limits on stack if empty or top != limits
-        if (stackHeight !== 0) {
-            if (!this.areLimitsEqual(limits, limitStack[stackHeight - 1])) {
-                limitStack.push(limits);
-            }
-        } else {
-            limitStack.push(limits);
+            this.gesture = {stack, height: stack.length};
         }
 
-        return [xScale, yScale, limits];
+        this.updateAxes(xMin, xMax, yMin, yMax);
     };
 
-    areLimitsEqual(lim1, lim2) {
-        return (
-            lim1.xMin.valueOf() === lim2.xMin.valueOf()
-            && lim1.xMax.valueOf() === lim2.xMax.valueOf()
-            && lim1.yMin === lim2.yMin
-            && lim1.yMax === lim2.yMax
-        )
-    }
+    /**
+     * End the current wheel or pan gesture; the next one will push its own limits onto the zoomHistory stack
+     */
+    endGesture() {
+        clearTimeout(this.gestureTimer);
+        this.gesture = null;
+    };
 
     /**
-     * Render the plot in the DOM
+     * Get the axes a wheel or pan gesture should move given the modifier keys held
      *
-     * @param {string} compound - Compound to look up in the object containing JSON filenames or API calls
-     * @param {number|null} [xMin=Null] - the new min value for the x axis (must be a valid input to new Date(xMin))
-     * @param {number|null} [xMax=Null] - the new max value for the x axis (must be a valid input to new Date(xMax))
-     * @param {number|null} [yMin=Null] - the new min value for the y axis
-     * @param {number|null} [yMax=Null] - the new max value for the y axis
+     * @param event - the mouse or wheel event
+     * @returns {[boolean, boolean]} - whether to move the x and y axes; x only by default, y only with shift, both with alt
      */
-    render(compound, xMin=null, xMax=null, yMin=null, yMax=null) {
+    navigationAxes(event) {
+        if (event.altKey) {
+            return [true, true];
+        } else if (event.shiftKey) {
+            return [false, true];
+        }
 
-        let filename = JSONFiles[compound];  // array defined in an in-html script b/c django templating
+        return [true, false];
+    };
 
-        this.selectedDates = this.selectionsByCompound.get(compound);
+    /**
+     * Zoom in or out about the cursor with the mouse wheel, never zooming the x axis in past xZoomLimit
+     */
+    wheelZoom() {
+        if (this.xScale === undefined) {
+            return;  // nothing plotted yet
+        }
 
-        d3.json(filename).then(data => {
-            let xScale, yScale, limits, xAxis, yAxis;
+        d3.event.preventDefault();  // don't scroll the page
 
-            for (let opt of Object.keys(this.xOptions)) {
-                data.forEach(d => {d[opt] = new Date((d[opt] + (60 * 60 * this.UTCoffset)) * 1000)})
-            }
+        // shift + wheel is sent as horizontal scrolling by some browsers
+        const delta = d3.event.deltaY || d3.event.deltaX;
 
-            [xScale, yScale, limits] = this.createScales(data, xMin, xMax, yMin, yMax);
+        if (!delta) {
+            return;
+        }
 
-            // this allows Class-wide access for things like drag events on the svg;
-            // **BUT only because it's illogical for render() not to be called prior to a drag event on the svg
-            this.xScale = xScale;
-            this.yScale = yScale;
-            this.limits = limits;
+        const factor = delta > 0 ? this.wheelZoomFactor : 1 / this.wheelZoomFactor;
+        const [mouseX, mouseY] = d3.mouse(this.svg.node());
+        const [zoomX, zoomY] = this.navigationAxes(d3.event);
+        let {xMin, xMax, yMin, yMax} = this.limits;
 
-            // filter data to display for only those inisde the axis limits
-            data = data.filter(d => {
-                return dataXDefault(d) >= this.limits.xMin && dataXDefault(d) <= this.limits.xMax
-                    && this.dataYDefault(d) >= this.limits.yMin && this.dataYDefault(d) <= this.limits.yMax;
-            });
+        // categorical axes have nothing between their categories to zoom into
+        if (zoomX && this.axisType('x') !== 'categorical') {
+            [xMin, xMax] = this.zoomScale(this.xScale, mouseX, factor);
 
-            const circles = this.graph.selectAll('circle').data(data);
+            if (this.axisType('x') === 'time' && factor < 1 && xMax - xMin < this.xZoomLimit) {
+                // stop at the zoom limit, keeping the time under the cursor in place
+                const x = this.xScale.invert(mouseX).valueOf();
+                const span = this.limits.xMax - this.limits.xMin;
+                const fraction = (x - this.limits.xMin) / span;
+                const newSpan = Math.min(span, this.xZoomLimit);
 
-            xAxis = d3.axisBottom(this.xScale).tickFormat(this.timeFormat);
-            yAxis = d3.axisLeft(this.yScale);
+                xMin = new Date(x - fraction * newSpan);
+                xMax = new Date(x + (1 - fraction) * newSpan);
+            }
+        }
 
-            circles.exit().remove();  // remove all first
+        if (zoomY && this.axisType('y') !== 'categorical') {
+            [yMin, yMax] = this.zoomScale(this.yScale, mouseY, factor);
+        }
 
-            circles.attr('r', 3)
-                .attr('cx', d => this.xScale(this.dataXDefault(d)))
-                .attr('cy', d => this.yScale(this.dataYDefault(d)))
-                // remove class to ensure compound to compound plot separation
-                .classed(this.CSS.selectedOutlierClass, false)
-                .classed(this.CSS.dataPointClass, true);
+        // wheel events have no end, so end the gesture once the wheel has been still for a moment
+        clearTimeout(this.gestureTimer);
+        this.navigate(xMin, xMax, yMin, yMax);
+        this.gestureTimer = setTimeout(() => this.endGesture(), 300);
+    };
 
-            circles.enter().append('circle')
-                .attr('r', 3)
-                .attr('cx', d => this.xScale(this.dataXDefault(d)))
-                .attr('cy', d => this.yScale(this.dataYDefault(d)))
-                // remove class to ensure compound to compound plot separation
-                .classed(this.CSS.selectedOutlierClass, false)
-                // give class only to data so it can be selected later
-                .attr('class', this.CSS.dataPointClass)
-                .on('mouseover', (d, i, n) => this.handleMouseOver(d, i, n))
-                .on('mouseout', this.wrapMouseOut());
+    /**
+     * Get the domain of a continuous scale after zooming it about a point
+     *
+     * @param scale - the time, linear or log scale to zoom
+     * @param {number} pixel - position to zoom about, which stays in place
+     * @param {number} factor - how much to grow the domain by; less than 1 zooms in
+     * @returns {Array} - new [min, max] of the domain
+     */
+    zoomScale(scale, pixel, factor) {
+        const unclamped = scale.copy().clamp(false);
 
-            this.xAxisGroup.call(xAxis);  // call the axes functions on the respective groups
-            this.yAxisGroup.call(yAxis);
+        return scale.range().map(end => unclamped.invert(pixel + (end - pixel) * factor));
+    };
 
-            this.xAxisGroup.selectAll('text')  // select all text in the x axis
-                .classed(this.CSS.axisTextClass, true)
-                .attr('transform', 'rotate(-40)')
-                .attr('text-anchor', 'end');  // rotate 40* from the end of the text
+    /**
+     * Get the type of the x or y option being plotted
+     *
+     * @param {string} axis - 'x' or 'y'
+     * @returns {string} - 'time', 'linear', 'log' or 'categorical'
+     */
+    axisType(axis) {
+        if (axis === 'x') {
+            // compounds plotted on the x axis share the type of the y option
+            return (this.xCompound() === null) ? this.xTypes[reverseKeyLookup(this.xOptions, this.dataXDefault)]
+                : this.axisType('y');
+        }
 
-            this.yAxisGroup.selectAll('text')
-                .classed(this.CSS.axisTextClass, true);
+        return this.yTypes[reverseKeyLookup(this.yOptions, this.dataYDefault)];
+    };
 
-            this.xAxisGroup.selectAll(['line', 'path'])
-                .classed(this.CSS.axisLinesClass, true);
+    /**
+     * Get the compound plotted on the x axis when plotting compound vs compound
+     *
+     * @returns {string|null} - the compound, or null if the x option isn't a compound
+     */
+    xCompound() {
+        const compound = this.scatterCompounds[reverseKeyLookup(this.xOptions, this.dataXDefault)];
 
-            this.yAxisGroup.selectAll(['line', 'path'])
-                .classed(this.CSS.axisLinesClass, true);
+        return (compound === undefined) ? null : compound;
+    };
 
-            const points = this.graph.selectAll(`.${this.CSS.dataPointClass}`)
-                .filter((d) => {
-                    return this.selectedDates.has(this.formatISODate(this.dataXDefault(d), d[this.toolTipSalt]))
-                });
+    /**
+     * When plotting compound vs compound, pair each record with the record of the x-axis compound that has the same
+     * key, leaving out any without a pair
+     *
+     * @param {Array} data - records of the compound being plotted
+     * @returns {Promise<Array>} - the paired records, or all records if not plotting compound vs compound
+     */
+    joinPartners(data) {
+        const xCompound = this.xCompound();
 
-            points.each((d, i, n) => this.updateClicked(n[i]));
+        if (xCompound === null) {
+            return Promise.resolve(data);
+        }
 
-        });
+        return this.loadData(xCompound).then(xData => {
+            const byKey = new Map(xData.map(d => [this.recordKey(d), d]));
 
-        // update all text boxes once render is otherwise complete
-        this.updateTextBoxes(this.selectedDates);
+            this.partners = new Map();
+            for (let d of data.filter(d => byKey.has(this.recordKey(d)))) {
+                this.partners.set(d, byKey.get(this.recordKey(d)));
+            }
+
+            return data.filter(d => this.partners.has(d));
+        });
     };
 
     /**
-     * Closure returning the function that makes the SVG responsive.
+     * Get the y value of the x-axis compound's record paired with a record
      *
-     * Width and height are given, and the aspect ratio is preserved on any change in size of the parent container.
-     * @returns {Function}
+     * @param d - data instance of the compound being plotted
+     * @returns {*} - the paired record's value for the current y option, or undefined if it has no pair
      */
-    makeResponsive = () => {
-        const that = this;
+    partnerValue(d) {
+        const partner = this.partners.get(d);
 
-        return function(svg) {
-            const container = d3.select(svg.node().parentNode);
-            const w = parseInt(svg.style('width'), 10);
-            const h = parseInt(svg.style('height'), 10);
+        return (partner === undefined) ? undefined : this.dataYDefault(partner);
+    };
 
-            that.ratio = h / w;
+    /**
+     * Get the compounds a selection applies to; every compound with a record of the sample when selecting whole
+     * samples, otherwise the plotted compound, or when plotting compound vs compound, both compounds or either alone
+     * as chosen in the DOM
+     *
+     * @param {string} key - key of the sample being selected, see recordKey()
+     * @returns {string[]} - the compounds, starting with the one whose selections decide whether to toggle off
+     */
+    targetCompounds(key) {
+        const xCompound = this.xCompound();
+
+        if (this.hasControls('wholeSample') && this.elements.wholeSample.checked) {
+            // a sample already selected here is removed from every compound, otherwise it's added to every compound;
+            // compounds not loaded yet are left out, since it can't be known if they have the sample
+            return [this.previousCompound, ...this.compounds.filter(c => c !== this.previousCompound
+                && this.recordKeys.has(c) && this.recordKeys.get(c).has(key))];
+        } else if (xCompound === null) {
+            return [this.previousCompound];
+        }
 
-            svg.attr('viewBox', `0 0 ${w} ${h}`)
-                .attr('preserveAspectRatio', 'xMidYMid meet')
-                .call(resize);
+        const targets = {
+            both: [this.previousCompound, xCompound],
+            y: [this.previousCompound],
+            x: [xCompound]
+        }[this.hasControls('scatterTarget') ? this.elements.scatterTarget.value : 'both'];
 
-            d3.select(window).on(`resize.${container.attr('id')}`, resize);
+        return Array.from(new Set(targets));  // a compound can be plotted against itself
+    };
 
-            /** SVG-resizer called on every occurence of the parent container resizing*/
-            function resize() {
-                let tgtWidth = parseInt(container.style('width'), 10);
+    /**
+     * Get the value on an axis at a position; for categorical axes this is the nearest category
+     *
+     * @param {string} axis - 'x' or 'y'
+     * @param {number} pixel - position along the axis
+     * @returns {*}
+     */
+    invertAxis(axis, pixel) {
+        const scale = (axis === 'x') ? this.xScale : this.yScale;
 
-                svg.attr('width', tgtWidth)
-                    .attr('height', tgtWidth * that.ratio);  // resize based on ratio
-            }
+        if (this.axisType(axis) === 'categorical') {
+            const categories = scale.domain();
+            const i = Math.round((pixel - scale(categories[0])) / scale.step());
+
+            return categories[Math.max(0, Math.min(categories.length - 1, i))];
         }
+
+        return scale.invert(pixel);
     };
 
     /**
-     * Update a clicked item, potentially remov
-     * @param item - data point to be
-     * @param {boolean} removeOnDupe -
+     * Check if a data instance is within the current axis limits
+     *
+     * @param d - data instance
+     * @returns {boolean}
      */
-    updateClicked(item, removeOnDupe=false) {
-        let clicked = d3.select(item);
+    inLimits(d) {
+        const onAxis = (axis, value, min, max) => {
+            if (this.axisType(axis) === 'categorical') {
+                const scale = (axis === 'x') ? this.xScale : this.yScale;
+                return scale(value) !== undefined;  // only categories between the limits are in the domain
+            }
 
-        let date = clicked.datum().date;
-        let selectedDate = this.formatISODate(date, clicked.datum()[this.toolTipSalt]);  // get, then format the date
+            return value >= min && value <= max;
+        };
 
-        if ((this.selectedDates.has(selectedDate)) && (removeOnDupe)) {
-            // add or remove, depending on if it's in the set already
+        return onAxis('x', this.dataXDefault(d), this.limits.xMin, this.limits.xMax)
+            && onAxis('y', this.dataYDefault(d), this.limits.yMin, this.limits.yMax);
+    };
 
-            clicked.classed(this.CSS.selectedOutlierClass, false);  // toggle class
+    /**
+     * Closure on starting function for dragging that makes this (the plot) 'that'
+     * @returns {Function} - the function that should be called when a d3.drag event occurs
+     */
+    dragStart = () => {
+        const that = this;
 
-            this.selectedDates.delete(selectedDate);
-            this.selectionsByDate.get(selectedDate).delete(this.previousCompound);
+        return function() {
+            if (that.dragMode === 'pan') {
+                // scales are copied unclamped so panning keeps working when the cursor leaves the plot
+                that.panStart = {
+                    mouse: d3.mouse(this),
+                    xScale: that.xScale.copy(),
+                    yScale: that.yScale.copy(),
+                    limits: that.limits
+                };
+                // categorical scales don't clamp
+                for (let scale of [that.panStart.xScale, that.panStart.yScale].filter(s => s.clamp)) {
+                    scale.clamp(false);
+                }
+                that.svg.style('cursor', 'grabbing');
+                return;
+            }
 
-            if (this.selectionsByDate.get(selectedDate).size === 0) {
-                this.selectionsByDate.delete(selectedDate);
+            if (that.dragMode === 'lasso') {
+                that.lassoPoints = [d3.mouse(this)];
+                that.lasso.raise()
+                    .style('display', null)
+                    .attr('d', `M${that.lassoPoints[0]}Z`);
+                return;
             }
 
-        } else {
-            clicked.classed(this.CSS.selectedOutlierClass, true);  // toggle class
-            this.selectedDates.add(selectedDate);
-        }
+            that.dragOrigin = d3.mouse(this);
 
-        this.commitSelections(this.previousCompound);
+            // ensure rectangle is above all other elements, set visible and define as 1x1px to start
+            that.selectangle.raise()
+                .style('opacity', .85)
+                .attr('stroke-width', 2)
+                .attr('rx', 2)
+                .attr('ry', 2)
+                .attr('x', d3.mouse(this)[0])
+                .attr('y', d3.mouse(this)[1])
+                .attr('height', 1)
+                .attr('width', 1)
+                .attr('stroke', 'black')
+                .attr('fill', 'none');
+        };
     };
 
     /**
-     * Handle a mouse-over of a data point
-     *
-     * Style the point as slightly larger and add a dark grey border to show selection.
-     *
-     * @param d - the moused-over data point
-     * @param i - the index of the moused-over data point in all the data
-     * @param n - all the related objects in an array
+     * Closure on drag update function for dragging that makes this (the plot) 'that'
+     * @returns {Function} - the function that should be called when a d3.drag update events occur
      */
-    handleMouseOver(d, i, n) {
-        // do nothing if there's a hold on the tooltip!
-        if (!this.toolTipGroup.hold.state()) {
-            d3.select(n[i]).raise() // raise to bring element to front; format element
-                .attr('r', 4)
-                .attr('stroke', 'darkslategrey')
-                .attr('stroke-width', '2');
+    dragUpdate = () => {
+        const that = this;
 
-            const divText = this.toolTipText(this, d)
+        return function() {
+            if (that.panStart !== null) {
+                const {mouse, xScale, yScale, limits} = that.panStart;
+                const [x, y] = d3.mouse(this);
+                const [panX, panY] = that.navigationAxes(d3.event.sourceEvent);
+                let {xMin, xMax, yMin, yMax} = limits;
+
+                // move the limits opposite to the mouse so the data follows the cursor
+                if (panX && that.axisType('x') !== 'categorical') {
+                    [xMin, xMax] = xScale.range().map(end => xScale.invert(end - (x - mouse[0])));
+                }
 
-            this.toolTipGroup.raise().style('opacity', 1);
+                if (panY && that.axisType('y') !== 'categorical') {
+                    [yMin, yMax] = yScale.range().map(end => yScale.invert(end - (y - mouse[1])));
+                }
 
-            this.toolTip.style('left', d3.event.pageX + 15 + 'px')
-                .style('top', d3.event.pageY + 20 + 'px');
+                that.navigate(xMin, xMax, yMin, yMax);
+                return;
+            }
 
-            this.toolTip.html(divText);
-        }
+            if (that.lassoPoints !== null) {
+                that.lassoPoints.push(d3.mouse(this));
+                that.lasso.attr('d', `M${that.lassoPoints.join('L')}Z`);
+                return;
+            }
+
+            const [xOrigin, yOrigin] = that.dragOrigin;
+            const [x, y] = d3.mouse(this);
+
+            // anchor the rectangle at whichever corner is top-left, so drags work in every direction
+            that.selectangle
+                .attr('x', Math.min(x, xOrigin))
+                .attr('y', Math.min(y, yOrigin))
+                .attr('width', Math.abs(x - xOrigin))
+                .attr('height', Math.abs(y - yOrigin));
+        };
     };
 
     /**
-     * Select the event (this) to apply a transition, then call plot (that).handleMouseOut() to effect styling.
-     *
-     * Closure to provide the plot (this) as 'that' to the function for mouse-out events
-     *
-     * @returns {Function}
+     * Closure on drag end function for dragging that makes this (the plot) 'that'
+     * @returns {Function} - the function that should be called when a d3.drag end occurs
      */
-    wrapMouseOut = () => {
+    dragEnd() {
         const that = this;
 
         return function() {
-            d3.select(this).transition()
-                .duration('150')
-                .attr('r', 3)
-                .attr('stroke-width', 0);
+            if (that.panStart !== null) {
+                that.panStart = null;
+                that.endGesture();
+                that.svg.style('cursor', null);
+                return;
+            }
 
-            that.handleMouseOut(this.__data__);
-        }
-    };
+            let x, y, xStart, yStart, xEnd, yEnd, inside;
+            const polygon = that.lassoPoints;
 
-    /** Make the entire toolTipGroup invisible on mouse-out*/
-    handleMouseOut(d) {
-        if (this.toolTipGroup.hold.state()) {  // if there's a hold placed on the tooltip...
-            if (d.date.getTime() === this.toolTipGroup.holder) {  // if hold was activated by this data instance...
-                // trigger it and remove tooltip if it returns true
-                if (!this.toolTipGroup.hold.trigger()) {  // if the hold is removed by triggering it
-                    this.toolTipGroup.style('opacity', 0);
+            if (polygon !== null) {
+                // zooming uses the bounding box of the lasso
+                [xStart, xEnd] = d3.extent(polygon, p => p[0]);
+                [yStart, yEnd] = d3.extent(polygon, p => p[1]);
+                inside = (x, y) => d3.polygonContains(polygon, [x, y]);
+            } else {
+                xStart = parseInt(that.selectangle.attr('x'));
+                yStart = parseInt(that.selectangle.attr('y'));
+                xEnd = xStart + parseInt(that.selectangle.attr('width'));
+                yEnd = yStart + parseInt(that.selectangle.attr('height'));
+                inside = (x, y) => (x >= xStart && x <= xEnd) && (y >= yStart && y <= yEnd);
+            }
+
+            if (d3.event.sourceEvent.shiftKey) {
+                // update the axes to show only what was selected
+                let yStartHold = yStart;  // hold on to value to allow re-assignment w/o conflict
+
+                xStart = that.invertAxis('x', xStart);
+                yStart = that.invertAxis('y', yEnd);  // **yEnd/yStart reversed because SVG axes behavior
+                xEnd = that.invertAxis('x', xEnd);
+                yEnd = that.invertAxis('y', yStartHold);  // **yEnd/yStart reversed because SVG axes behavior
+
+                const xType = that.axisType('x');
+
+                if (xType !== 'categorical' && (xStart < that.limits.xMin || xEnd > that.limits.xMax)) {
+                    // out-of-bounds default to the min and max
+                    xStart = that.limits.xMin;
+                    xEnd = that.limits.xMax;
+                } else if (xType === 'time' && xEnd - xStart < that.xZoomLimit) {
+                    // smaller than constant zoomLimit? Change limits to +/- half the zoom limit
+                    let xAvg = (xEnd.valueOf() + xStart.valueOf()) / 2;
+
+                    xStart = new Date(xAvg - that.xZoomLimit / 2);
+                    xEnd = new Date(xAvg + that.xZoomLimit / 2);
                 }
+
+                that.updateAxes(xStart, xEnd, yStart, yEnd);
+            } else if (that.useCanvas) {
+                // same as below, but points are found in the quadtree and only committed and redrawn once
+                const points = that.pointsInRect(xStart, yStart, xEnd, yEnd)
+                    .filter(d => inside(that.quadtree.x()(d), that.quadtree.y()(d)));
+
+                that.beginCommand();
+                points.forEach(d => that.toggleDatum(d, d3.event.sourceEvent.altKey));
+                that.endCommand();
+                that.commitSelections(that.previousCompound);
+                that.requestDraw();
+            } else {
+                // select all the points inside the rect (or lasso) and click them
+                const points = that.graph.selectAll(`.${that.CSS.dataPointClass}`)
+                    .filter((d, i, n) => {
+                        x = n[i].cx.baseVal.value;
+                        y = n[i].cy.baseVal.value;
+                        return inside(x, y);
+                    });
+
+                // update points, and remove already-selected points in box IFF the alt-key is held
+                that.beginCommand();
+                points.each((d, i, n) => {
+                    that.toggleDatum(d, d3.event.sourceEvent.altKey);
+                    that.markPoint(n[i]);
+                });
+                that.endCommand();
+                that.commitSelections(that.previousCompound);
             }
-        } else {  // no hold in place; remove tooltip as usual
-            this.toolTipGroup.style('opacity', 0);
-        }
+
+            that.selectangle.style('opacity', 0);
+            that.selectangle.attr('width', 1);
+            that.selectangle.attr('height', 1);
+
+            that.lassoPoints = null;
+            that.lasso.style('display', 'none');
+        };
     };
 
     /**
-     * Add listeners to all UI elements that require one
+     * Create the scales for an axis, updating HTML while doing so.
+     *
+     * Returns the limits in an object, as well as the scale objects so they can be used elsewhere.
+     *
+     * @param {object} data - the data as loaded from JSON; used for determining limits if none given
+     * @param attr - callback to apply to data to get attribute for scale
+     * @param minVal - minimum value (or null)
+     * @param maxVal - maximum value (or null)
+     * @param minElement - key in this.elements of the input to modify with min value, or null to leave the inputs
+     * @param maxElement - key in this.elements of the input to modify with max value, or null to leave the inputs
+     * @param {string} [type='linear'] - axis type; 'time', 'linear', 'log' or 'categorical'
+     * @param {number[]} [range=[0, 1]] - range of the scale, in SVG units
+     * @param [round=1] - rounding value for "nice" linear axes; ignored for other types
+     * @returns [minVal, maxVal, scale]
      */
-    initListeners() {
-        this.elements.selector.addEventListener('change', (e) => {
+    processAxis(data, attr, minVal, maxVal, minElement, maxElement, type='linear', range=[0, 1], round=1) {
+        let scale;
+        const missing = (value) => value == null || value === '';
 
-            this.commitSelections(this.previousCompound);
-            let compound = e.target.value;
+        if (type === 'categorical') {
+            // categories are shown in sorted order, and limited to those from minVal to maxVal
+            const categories = Array.from(new Set(data.map(attr))).filter(c => c != null).sort(d3.ascending);
+            let start = categories.findIndex(c => String(c) === String(minVal));
+            let end = categories.findIndex(c => String(c) === String(maxVal));
+
+            start = (start === -1) ? 0 : start;
+            end = (end === -1 || end < start) ? categories.length - 1 : end;
+
+            const shown = categories.slice(start, end + 1);
+            minVal = shown[0];
+            maxVal = shown[shown.length - 1];
+
+            scale = d3.scalePoint()
+                .domain(shown)
+                .range(range)
+                .padding(.5);
+
+            if (minElement !== null) {
+                this.setLimitInput(minElement, type, categories);
+                this.setLimitInput(maxElement, type, categories);
+
+                this.elements[minElement].value = minVal;
+                this.elements[maxElement].value = maxVal;
+            }
+
+        } else if (type === 'time') {
+            if (missing(minVal)) {
+                minVal = d3.min(data, (d) => Math.min(attr(d)));
+            }
+
+            if (missing(maxVal)) {
+                maxVal = d3.max(data, (d) => Math.max(attr(d)));
+            }
+
+            // the limit inputs give wall-clock times in the display time zone
+            minVal = (typeof minVal === 'string') ? this.parseDisplayTime(minVal) : new Date(minVal);
+            maxVal = (typeof maxVal === 'string') ? this.parseDisplayTime(maxVal) : new Date(maxVal);
+
+            scale = d3.scaleUtc()
+                    .domain([minVal, maxVal])
+                    .range(range);
+
+            if (minElement !== null) {
+                this.setLimitInput(minElement, type);
+                this.setLimitInput(maxElement, type);
+
+                this.elements[minElement].value = this.formatDisplayTime(minVal);
+                this.elements[maxElement].value = this.formatDisplayTime(maxVal);
+            }
+
+        } else {
+            // niced log scales jump between powers of ten, so those are only niced to show all the data
+            const nice = type !== 'log' || (missing(minVal) && missing(maxVal));
+
+            if (type === 'log') {
+                // log scales can't show zero or negative values, so neither are used for the default limits
+                data = data.filter(d => attr(d) > 0);
+                round = null;
+            }
+
+            if (missing(maxVal)) {
+                maxVal = d3.max(data, (d) => Math.max(attr(d)));
+                maxVal = round ? Math.ceil(maxVal / round) * round : maxVal;
+            }
+
+            if (missing(minVal) || (type === 'log' && minVal <= 0)) {
+                minVal = d3.min(data, (d) => Math.min(attr(d)));
+                minVal = round ? Math.floor(minVal / round) * round : minVal;
+            }
+
+            // limits from inputs arrive as strings
+            minVal = +minVal;
+            maxVal = +maxVal;
+
+            scale = ((type === 'log') ? d3.scaleLog() : d3.scaleLinear())
+                .domain([minVal, maxVal])
+                .range(range).clamp(true);
+
+            if (nice) {
+                scale.nice();
+            }
+
+            if (minElement !== null) {
+                this.setLimitInput(minElement, type);
+                this.setLimitInput(maxElement, type);
+
+                this.elements[minElement].value = scale.domain()[0];
+                this.elements[maxElement].value = scale.domain()[1];
+            }
+        }
+
+        return [minVal, maxVal, scale]
+    }
+
+    /**
+     * Set the type of an axis limit input to suit the axis, listing the categories of categorical axes to pick from
+     *
+     * @param {string} element - name of the input in elements, eg 'xMin'
+     * @param {string} type - 'time', 'linear', 'log' or 'categorical'
+     * @param {Array} [categories=[]] - categories to list for categorical axes
+     */
+    setLimitInput(element, type, categories=[]) {
+        const input = this.elements[element];
+
+        input.type = {time: 'datetime-local', linear: 'number', log: 'number', categorical: 'text'}[type];
+
+        if (type !== 'categorical') {
+            input.removeAttribute('list');
+            return;
+        }
+
+        let list = document.getElementById(`${input.id}Categories`);
+
+        if (list === null) {
+            list = document.createElement('datalist');
+            list.id = `${input.id}Categories`;
+            input.after(list);
+        }
+
+        d3.select(list).selectAll('option').remove();
+        d3.select(list).selectAll('option').data(categories).enter()
+            .append('option')
+            .attr('value', c => c);
+
+        input.setAttribute('list', list.id);
+    };
+
+    /**
+     * Create the scales for this plot.
+     *
+     * Returns the limits in an object, as well as the scale objects so they can be used elsewhere.
+     *
+     * @param {object} data - the data as loaded from JSON; used for determining limits if none given
+     * @param [xMin=Null] - the new min value for the x axis (must be a valid input to new Date(xMin), or
+     *     an input's value, which is read in the display time zone)
+     * @param [xMax=Null] - the new max value for the x axis (as for xMin)
+     * @param [yMin=Null] - the new min value for the y axis
+     * @param [yMax=Null] - the new max value for the y axis
+     * @param {number} yRound - unit of y-axis that display values should be rounded to
+     * @param {object|null} [gesture=null] - the wheel or pan gesture these limits are part of, if any
+     * @param {boolean} [fit=false] - fit missing limits to data, rather than taking them from the zoom history
+     * @returns {[*, *, {yMin: *, yMax: *, xMax: *, xMin: *}]} - x and y scales matching the type of each axis, and
+     *     the limits
+     */
+    createScales(data, xMin=null, xMax=null, yMin=null, yMax=null, yRound=this.yRound, gesture=null, fit=false) {
+        let xScale, yScale, xName, yName, limits, limitStack, stackHeight;
+
+        xName = reverseKeyLookup(this.xOptions, this.dataXDefault);
+        yName = reverseKeyLookup(this.yOptions, this.dataYDefault);
+
+        limitStack = this.zoomHistory.get(this.previousCompound).get(this.joinXYStrings(xName, yName));
+
+        if (!fit && (xMin == null || xMax == null || yMin == null || yMax == null)) {
+            // if no limits given, peek at stack and use those if available
+            stackHeight = limitStack.length;
+            if (stackHeight !== 0) {
+                limits = limitStack[stackHeight - 1];
+                xMin = limits.xMin;
+                xMax = limits.xMax;
+                yMin = limits.yMin;
+                yMax = limits.yMax;
+            }
+        }
+
+        [xMin, xMax, xScale] = this.processAxis(data, this.dataXDefault, xMin, xMax, "xMin",
+            "xMax", this.axisType('x'), [this.margins.left, this.graphWidth - this.margins.right]);
+        [yMin, yMax, yScale] = this.processAxis(data, this.dataYDefault, yMin, yMax, "yMin",
+            "yMax", this.axisType('y'), [this.graphHeight - this.margins.top, this.margins.bottom]);
+
+        limits = {xMin, xMax, yMin, yMax};
+
+        if (gesture !== null && gesture.stack === limitStack) {
+            // replace, rather than add to, the limits pushed earlier in the same gesture
+            limitStack.length = Math.min(limitStack.length, gesture.height);
+        }
+
+        stackHeight = limitStack.length;
+
+        // only put limits on stack if empty or top != limits
+        if (stackHeight !== 0) {
+            if (!this.areLimitsEqual(limits, limitStack[stackHeight - 1])) {
+                limitStack.push(limits);
+            }
+        } else {
+            limitStack.push(limits);
+        }
+
+        return [xScale, yScale, limits];
+    };
+
+    areLimitsEqual(lim1, lim2) {
+        return (
+            lim1.xMin.valueOf() === lim2.xMin.valueOf()
+            && lim1.xMax.valueOf() === lim2.xMax.valueOf()
+            && lim1.yMin === lim2.yMin
+            && lim1.yMax === lim2.yMax
+        )
+    }
+
+    /**
+     * Render the plot in the DOM
+     *
+     * @param {string} compound - Compound to look up in the object containing JSON filenames or API calls
+     * @param {number|null} [xMin=Null] - the new min value for the x axis (must be a valid input to new
+     *     Date(xMin), or an input's value, which is read in the display time zone)
+     * @param {number|null} [xMax=Null] - the new max value for the x axis (as for xMin)
+     * @param {number|null} [yMin=Null] - the new min value for the y axis
+     * @param {number|null} [yMax=Null] - the new max value for the y axis
+     */
+    render(compound, xMin=null, xMax=null, yMin=null, yMax=null) {
+        this.clearErrors();
+
+        const gesture = this.gesture;  // data may load after the gesture has ended
+
+        this.loadData(compound).then(data => this.joinPartners(data)).then(data => {
+            let xScale, yScale, limits, xAxis, yAxis;
+
+            // while previewing, scale to the points that would remain after cleaning
+            const remaining = data.filter(d => !this.selections.has(compound, this.recordKey(d)));
+            const previewing = this.previewMode !== 'off' && remaining.length > 0;
+            const fit = previewing && this.previewFit;
+            this.previewFit = false;
+
+            [xScale, yScale, limits] = this.createScales(previewing ? remaining : data, xMin, xMax, yMin, yMax,
+                this.yRound, gesture, fit);
+
+            if (fit) {
+                this.previewLimits = limits;
+            }
+
+            const xOption = reverseKeyLookup(this.xOptions, this.dataXDefault);
+            const yOption = reverseKeyLookup(this.yOptions, this.dataYDefault);
+            const view = [compound, this.joinXYStrings(xOption, yOption)].join(' ');
+            const zoomed = view === this.renderedView && !this.areLimitsEqual(this.limits, limits);
+            const previousLimits = this.limits;
+            this.renderedView = view;
+
+            // this allows Class-wide access for things like drag events on the svg;
+            // **BUT only because it's illogical for render() not to be called prior to a drag event on the svg
+            this.xScale = xScale;
+            this.yScale = yScale;
+            this.limits = limits;
+
+            this.warnSharedKeys(compound);
+
+            this.compoundData = data;  // overlays and previews summarize all data, not only that within the limits
+
+            // filter data to display for only those inisde the axis limits
+            data = data.filter(d => this.inLimits(d));
+
+            if (this.previewMode === 'hide') {
+                data = data.filter(d => !this.selections.has(compound, this.recordKey(d)));
+            }
+
+            this.plotData = data;
+            this.useCanvas = data.length > this.canvasThreshold;
+            this.hoverCanvas(undefined);
+
+            if (this.useCanvas) {
+                // draw on the canvas instead; no circles are bound to data
+                this.quadtree = d3.quadtree(data, d => this.xScale(this.dataXDefault(d)),
+                    d => this.yScale(this.dataYDefault(d)));
+                data = [];
+            } else {
+                this.quadtree = null;
+            }
+
+            this.drawCanvas();  // draws the points, or clears them when using SVG
+
+            const circles = this.graph.selectAll('circle').data(data);
+
+            if (this.axisType('x') === 'time') {
+                xAxis = d3.axisBottom(this.zonedScale(this.xScale)).tickFormat(this.timeFormat);
+            } else {
+                xAxis = d3.axisBottom(this.xScale);
+            }
+
+            if (this.axisType('y') === 'time') {
+                yAxis = d3.axisLeft(this.zonedScale(this.yScale)).tickFormat(this.timeFormat);
+            } else {
+                yAxis = d3.axisLeft(this.yScale);
+            }
+
+            circles.exit().remove();  // remove all first
+
+            circles.attr('r', 3)
+                .attr('cx', d => this.xScale(this.dataXDefault(d)))
+                .attr('cy', d => this.yScale(this.dataYDefault(d)))
+                // remove class and flag color to ensure compound to compound plot separation
+                .classed(this.CSS.selectedOutlierClass, false)
+                .style('fill', null)
+                .classed(this.CSS.dataPointClass, true);
+
+            circles.enter().append('circle')
+                .attr('r', 3)
+                .attr('cx', d => this.xScale(this.dataXDefault(d)))
+                .attr('cy', d => this.yScale(this.dataYDefault(d)))
+                // remove class to ensure compound to compound plot separation
+                .classed(this.CSS.selectedOutlierClass, false)
+                // give class only to data so it can be selected later
+                .attr('class', this.CSS.dataPointClass)
+                .on('mouseover', (d, i, n) => this.handleMouseOver(d, i, n))
+                .on('mouseout', this.wrapMouseOut());
+
+            this.xAxisGroup.call(xAxis);  // call the axes functions on the respective groups
+            this.yAxisGroup.call(yAxis);
+
+            this.xAxisGroup.selectAll('text')  // select all text in the x axis
+                .classed(this.CSS.axisTextClass, true)
+                .attr('transform', 'rotate(-40)')
+                .attr('text-anchor', 'end');  // rotate 40* from the end of the text
+
+            this.yAxisGroup.selectAll('text')
+                .classed(this.CSS.axisTextClass, true);
+
+            this.xAxisGroup.selectAll(['line', 'path'])
+                .classed(this.CSS.axisLinesClass, true);
+
+            this.yAxisGroup.selectAll(['line', 'path'])
+                .classed(this.CSS.axisLinesClass, true);
+
+            // style every point as selected here, selected only in other compounds, or neither
+            const points = this.graph.selectAll(`.${this.CSS.dataPointClass}`);
+
+            points.each((d, i, n) => this.markPoint(n[i]));
+            this.commitSelections(this.previousCompound);
+
+            this.markSuggestions();
+            this.drawOverlays();
+            this.updatePreviewSummary();
+            if (this.savedState === undefined) {
+                this.savedState = this.sessionState();  // what the page opened with isn't a change worth saving
+            }
+
+            this.saveSession();
+
+            if (zoomed) {
+                this.emit('zoom', {compound, limits, previous: previousLimits});
+            }
+
+            this.emit('render', {compound, xOption, yOption, limits, points: this.plotData.length});
+        }).catch(e => {
+            // don't leave the previous compound's data up as if it were this one's
+            this.graph.selectAll('circle').remove();
+            this.plotData = [];
+            this.compoundData = [];
+            this.quadtree = null;
+            this.drawCanvas();
+            this.drawOverlays();
+            this.updatePreviewSummary();
+            this.showError(e.message);
+        });
+
+        // update all text boxes once render is otherwise complete
+        this.updateTextBoxes(this.selections.keys(compound));
+    };
+
+    /**
+     * Find the point drawn on the canvas nearest to a position, if any is within a few pixels of it
+     *
+     * @param {number[]} position - [x, y] in SVG coordinates, eg from d3.mouse(this.svg.node())
+     * @returns {object|undefined} - the data instance of the point, or undefined if none is near or using SVG
+     */
+    findPoint([x, y]) {
+        return (this.quadtree === null) ? undefined : this.quadtree.find(x, y, 5);
+    };
+
+    /**
+     * Find all points drawn on the canvas within a rectangle
+     *
+     * @param {number} xStart - left edge in SVG coordinates
+     * @param {number} yStart - top edge in SVG coordinates
+     * @param {number} xEnd - right edge in SVG coordinates
+     * @param {number} yEnd - bottom edge in SVG coordinates
+     * @returns {Array} - data instances of all points in the rectangle
+     */
+    pointsInRect(xStart, yStart, xEnd, yEnd) {
+        const found = [];
+
+        if (this.quadtree === null) {
+            return found;
+        }
+
+        this.quadtree.visit((node, x0, y0, x1, y1) => {
+            if (!node.length) {  // leaf nodes hold a linked list of points at the same position
+                do {
+                    const x = this.quadtree.x()(node.data);
+                    const y = this.quadtree.y()(node.data);
+
+                    if (x >= xStart && x <= xEnd && y >= yStart && y <= yEnd) {
+                        found.push(node.data);
+                    }
+                } while ((node = node.next));
+            }
+
+            // skip any quadrant that doesn't overlap the rectangle
+            return x0 > xEnd || x1 < xStart || y0 > yEnd || y1 < yStart;
+        });
+
+        return found;
+    };
+
+    /**
+     * Show the outline and tooltip for a point drawn on the canvas, removing those of the previous one
+     *
+     * @param {object|undefined} d - data instance under the mouse, or undefined if none
+     */
+    hoverCanvas(d) {
+        if (d === this.hovered) {
+            return;
+        }
+
+        if (this.hovered !== undefined) {
+            this.highlight.style('display', 'none');
+            this.handleMouseOut(this.hovered);
+        }
+
+        this.hovered = d;
+
+        if (d !== undefined) {
+            this.highlight.style('display', null)
+                .attr('cx', this.xScale(this.dataXDefault(d)))
+                .attr('cy', this.yScale(this.dataYDefault(d)));
+            this.handleMouseOver(d, 0, [this.highlight.node()]);
+        }
+    };
+
+    /**
+     * Redraw the canvas on the next animation frame; repeated requests before then only draw once
+     */
+    requestDraw() {
+        if (this.drawRequest === undefined) {
+            this.drawRequest = window.requestAnimationFrame(() => {
+                this.drawRequest = undefined;
+                this.drawCanvas();
+            });
+        }
+    };
+
+    /**
+     * Get the fill, stroke and dashes that CSS classes give a data point, for drawing on the canvas
+     *
+     * @param {string} classes - space-separated CSS classes
+     * @returns {{fill: string, stroke: string, strokeWidth: number, dash: number[]}}
+     */
+    classStyle(classes) {
+        this.styleProbe.attr('class', classes);
+
+        const style = window.getComputedStyle(this.styleProbe.node());
+        const dash = (style.strokeDasharray && style.strokeDasharray !== 'none')
+            ? style.strokeDasharray.split(/[\s,]+/).map(parseFloat) : [];
+        const classStyle = {fill: style.fill, stroke: style.stroke, strokeWidth: parseFloat(style.strokeWidth) || 0, dash};
+
+        this.styleProbe.attr('class', null);  // so the probe is never mistaken for a data point
+        return classStyle;
+    };
+
+    /**
+     * Draw plotData on the canvas, styled the same as SVG points would be; clears it when not using the canvas
+     */
+    drawCanvas() {
+        const node = this.canvas.node();
+        const ctx = node.getContext('2d');
+        const scale = node.width / this.width;  // canvas pixels per SVG unit
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, node.width, node.height);
+
+        if (!this.useCanvas) {
+            return;
+        }
+
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+        const suggested = new Set(this.suggestions.map(d => this.recordKey(d)));
+        const reviewing = this.suggestions[this.reviewIndex];
+        const reviewKey = (reviewing === undefined) ? undefined : this.recordKey(reviewing);
+        const layers = new Map();  // CSS classes: [data]; drawn in order so selections end up on top
+
+        const addTo = (classes, d) => {
+            if (!layers.has(classes)) {
+                layers.set(classes, []);
+            }
+            layers.get(classes).push(d);
+        };
+
+        layers.set(this.CSS.dataPointClass, []);
+
+        for (let d of this.plotData) {
+            const key = this.recordKey(d);
+            const flag = this.getFlag(this.previousCompound, key);
+
+            if (flag !== undefined && this.previewMode === 'grey') {
+                addTo(`${this.CSS.dataPointClass} ${this.CSS.previewGreyClass}`, d);
+            } else if (flag !== undefined) {
+                // flags are colored by fill alone, so group by flag to draw each color at once
+                addTo(`${this.CSS.dataPointClass} ${this.CSS.selectedOutlierClass} flag:${flag}`, d);
+            } else if (key === reviewKey) {
+                addTo(`${this.CSS.dataPointClass} ${this.CSS.suggestedOutlierClass} ${this.CSS.reviewOutlierClass}`, d);
+            } else if (suggested.has(key)) {
+                addTo(`${this.CSS.dataPointClass} ${this.CSS.suggestedOutlierClass}`, d);
+            } else if (this.otherCompounds(key).length > 0) {
+                addTo(`${this.CSS.dataPointClass} ${this.CSS.selectedElsewhereClass}`, d);
+            } else {
+                addTo(this.CSS.dataPointClass, d);
+            }
+        }
+
+        layers.forEach((data, classes) => {
+            const [cssClasses, flag] = classes.split(' flag:');
+            const style = this.classStyle(cssClasses);
+
+            ctx.beginPath();
+            for (let d of data) {
+                const x = this.xScale(this.dataXDefault(d));
+                const y = this.yScale(this.dataYDefault(d));
+                ctx.moveTo(x + 3, y);
+                ctx.arc(x, y, 3, 0, 2 * Math.PI);
+            }
+
+            ctx.fillStyle = (flag === undefined) ? style.fill : this.flagCategories[flag].color;
+            ctx.fill();
+
+            if (style.strokeWidth > 0 && style.stroke !== 'none') {
+                ctx.strokeStyle = style.stroke;
+                ctx.lineWidth = style.strokeWidth;
+                ctx.setLineDash(style.dash);
+                ctx.stroke();
+            }
+        });
+    };
+
+    /**
+     * Match the size of the canvas element to the SVG, and redraw it
+     *
+     * @param {number} width - width of the SVG in CSS pixels
+     * @param {number} height - height of the SVG in CSS pixels
+     */
+    resizeCanvas(width, height) {
+        const ratio = window.devicePixelRatio || 1;  // draw at full resolution on high-DPI screens
+
+        this.canvas
+            .style('width', `${width}px`)
+            .style('height', `${height}px`)
+            .attr('width', Math.round(width * ratio))
+            .attr('height', Math.round(height * ratio));
+
+        this.drawCanvas();
+    };
+
+    /**
+     * Load the data for a compound and convert the fields of all time options to Dates, reading them in the data
+     * time zone or correcting by the UTC offset.
+     *
+     * Data is cached, so the source is only fetched once until reloadData() is called. Numeric times are taken as
+     * epoch seconds; anything else (like ISO strings) is parsed as a date.
+     *
+     * @param {string} compound - Compound to look up in dataSources
+     * @returns {Promise<Array>} - promise resolving to the loaded data; rejects with a descriptive error if the
+     *     source fails to load or is malformed
+     */
+    loadData(compound) {
+        if (this.dataCache.has(compound)) {
+            return this.dataCache.get(compound);
+        }
+
+        const source = this.dataSources[compound];
+
+        const request = source.load().then(data => {
+            this.clearErrors(compound);  // any earlier failure to load it is no longer true
+            return this.checkKeys(compound, this.convertDates(data));
+        }).catch(e => {
+            // don't cache failures, so the next render tries again; unless reloadData() has already replaced it
+            if (this.dataCache.get(compound) === request) {
+                this.dataCache.delete(compound);
+            }
+            throw new Error(`Could not load ${compound} from ${source.describe()}: ${e.message}`);
+        });
+
+        this.dataCache.set(compound, request);
+        return request;
+    };
+
+    /**
+     * Convert the fields of all time options of records to Dates, reading them in the data time zone or correcting
+     * them by the UTC offset
+     *
+     * Records are only ever converted once, so loaders that return the same records on every call are safe.
+     *
+     * @param {Array} data - records as returned by a DataSource
+     * @returns {Array} - the same records, converted in place
+     */
+    convertDates(data) {
+        for (let d of data.filter(d => !this.convertedRecords.has(d))) {
+            for (let opt of this.timeFields()) {
+                d[opt] = parseTime(d[opt], this.UTCoffset, this.dataTimeZone);
+            }
+
+            this.convertedRecords.add(d);
+        }
+
+        return data;
+    };
+
+    /**
+     * Find the keys shared by more than one record of a compound, to warn of them whenever it's plotted
+     *
+     * @param {string} compound - compound the records are of
+     * @param {Array} data - all records of the compound
+     * @returns {Array} - the same records
+     */
+    checkKeys(compound, data) {
+        const seen = new Set();
+        const shared = new Set();
+
+        for (let d of data) {
+            const key = this.recordKey(d);
+            (seen.has(key) ? shared : seen).add(key);
+        }
+
+        this.sharedKeys.set(compound, [...shared]);
+        this.recordKeys.set(compound, seen);
+        return data;
+    };
+
+    /**
+     * Warn in the error box if records of a compound share keys, since selecting one would select them all
+     *
+     * @param {string} compound
+     */
+    warnSharedKeys(compound) {
+        const shared = this.sharedKeys.get(compound) || [];
+
+        if (shared.length) {
+            this.showError(`Warning: ${shared.length} key(s) of ${compound} are shared by more than one record `
+                + `(eg ${shared.slice(0, 3).join(', ')}), so selecting one selects them all; `
+                + `configure a recordId that tells them apart`);
+        }
+    };
+
+    /**
+     * Get the fields holding times, which are those of x and y options of the 'time' type
+     *
+     * @returns {string[]}
+     */
+    timeFields() {
+        const fields = Object.keys(this.xOptions).filter(opt => this.xTypes[opt] === 'time')
+            .concat(Object.keys(this.yOptions).filter(opt => this.yTypes[opt] === 'time'));
+
+        return Array.from(new Set(fields));
+    };
+
+    /**
+     * Load every compound into the cache in the background, one at a time, showing progress as they load
+     *
+     * @returns {Promise} - promise resolving once all compounds have been tried; failures are shown as errors
+     */
+    preloadAll() {
+        let loaded = 0;
+        const failed = [];
+
+        this.updateLoadProgress(loaded, failed);
+
+        return this.compounds.reduce((previous, c) => previous.then(() => {
+            return this.loadData(c)
+                .then(() => loaded++, e => {
+                    failed.push(c);
+                    this.showError(e.message, c);  // kept until the compound loads, not cleared by renders
+                })
+                .then(() => this.updateLoadProgress(loaded, failed));
+        }), Promise.resolve());
+    };
+
+    /**
+     * Show how many compounds have been loaded by preloadAll(), and which failed
+     *
+     * @param {number} loaded - number of compounds loaded so far
+     * @param {string[]} failed - compounds that failed to load so far
+     */
+    updateLoadProgress(loaded, failed) {
+        const total = this.compounds.length;
+        let text;
+
+        if (loaded + failed.length < total) {
+            text = `Loading data: ${loaded} of ${total} compounds`;
+        } else if (failed.length === 0) {
+            text = `Loaded all ${total} compounds`;
+        } else {
+            text = `Loaded ${loaded} of ${total} compounds`;
+        }
+
+        if (failed.length) {
+            text += `; failed to load ${failed.join(', ')}`;
+        }
+
+        d3.select(this.CSS.loadProgressID).text(text);
+    };
+
+    /**
+     * Drop all cached data and re-render the current compound, fetching it from its source again
+     */
+    reloadData() {
+        this.dataCache.clear();
+        d3.select(this.CSS.loadProgressID).text('');
+        this.render(this.previousCompound);
+        this.multiples.refresh();
+    };
+
+    /**
+     * Show an error in the error box
+     *
+     * @param {string} message - description of the error
+     * @param {string|null} [compound=null] - compound whose data failed to load, or this.sessionKey for a problem
+     *     saving or reading the session; the error is then kept until cleared for it, instead of by the next render
+     */
+    showError(message, compound=null) {
+        if (d3.select(this.CSS.errorBoxID).empty()) {
+            console.error(message);  // no error box was configured
+            return;
+        }
+
+        d3.select(this.CSS.errorBoxID).attr('hidden', null)
+            .append('p').datum({compound}).text(message);
+    };
+
+    /**
+     * Remove errors from the error box, hiding it if none are left
+     *
+     * @param {string|null} [compound=null] - remove the errors kept for this compound (or this.sessionKey), rather
+     *     than every other error
+     */
+    clearErrors(compound=null) {
+        const box = d3.select(this.CSS.errorBoxID);
+
+        box.selectAll('p')
+            .filter(d => ((d && d.compound) || null) === compound)
+            .remove();
+
+        box.attr('hidden', box.selectAll('p').empty() ? true : null);
+    };
+
+    /**
+     * Closure returning the function that makes the SVG responsive.
+     *
+     * Width and height are given, and the aspect ratio is preserved on any change in size of the parent container.
+     * @returns {Function}
+     */
+    makeResponsive = () => {
+        const that = this;
+
+        return function(svg) {
+            const container = d3.select(svg.node().parentNode);
+            const w = parseInt(svg.style('width'), 10);
+            const h = parseInt(svg.style('height'), 10);
+
+            that.ratio = h / w;
+
+            svg.attr('viewBox', `0 0 ${w} ${h}`)
+                .attr('preserveAspectRatio', 'xMidYMid meet')
+                .call(resize);
+
+            d3.select(window).on(`resize.dataSelector${that.instanceId}`, resize);
+
+            /** SVG-resizer called on every occurence of the parent container resizing*/
+            function resize() {
+                let tgtWidth = parseInt(container.style('width'), 10);
+
+                svg.attr('width', tgtWidth)
+                    .attr('height', tgtWidth * that.ratio);  // resize based on ratio
+
+                that.resizeCanvas(tgtWidth, tgtWidth * that.ratio);
+            }
+        }
+    };
+
+    /**
+     * Update a clicked item, potentially remov
+     * @param item - data point to be
+     * @param {boolean} removeOnDupe -
+     */
+    updateClicked(item, removeOnDupe=false) {
+        this.toggleDatum(d3.select(item).datum(), removeOnDupe);
+
+        this.markPoint(item);  // toggle class
+        this.commitSelections(this.previousCompound);
+    };
+
+    /**
+     * Select a data instance for the current compound (or compounds, see targetCompounds()), or de-select it if
+     * already selected and removeOnDupe is set
+     *
+     * @param d - data instance
+     * @param {boolean} removeOnDupe - de-select the data instance if it's already selected
+     */
+    toggleDatum(d, removeOnDupe=false) {
+        let selectedDate = this.recordKey(d);  // get, then format the date
+        const compounds = this.targetCompounds(selectedDate);
+        const remove = this.selections.has(compounds[0], selectedDate) && removeOnDupe;
+
+        for (let c of compounds) {
+            if (remove) {
+                // add or remove, depending on if it's in the set already
+                this.removeSelection(c, selectedDate);
+            } else {
+                // already-selected points are re-flagged with the active flag
+                this.addSelection(c, selectedDate);
+            }
+        }
+    };
+
+    /**
+     * Style a data point as selected or not, coloring it by its flag category if selected
+     *
+     * @param item - data point to style
+     */
+    markPoint(item) {
+        const point = d3.select(item);
+        const key = this.recordKey(point.datum());
+        const flag = this.getFlag(this.previousCompound, key);
+        const greyed = flag !== undefined && this.previewMode === 'grey';
+
+        point.classed(this.CSS.selectedOutlierClass, flag !== undefined && !greyed)
+            .classed(this.CSS.previewGreyClass, greyed)
+            .classed(this.CSS.selectedElsewhereClass, flag === undefined && this.otherCompounds(key).length > 0)
+            .style('fill', flag === undefined || greyed ? null : this.flagCategories[flag].color);
+    };
+
+    /**
+     * Get the other compounds a sample is selected in
+     *
+     * @param {string} key - key of the data instance, see recordKey()
+     * @returns {string[]} - compounds other than the current one with the key selected
+     */
+    otherCompounds(key) {
+        return this.selections.compoundsOf(key).filter(c => c !== this.previousCompound);
+    };
+
+    /**
+     * Select a sample that's selected in other compounds in the current compound too, with the flag it has in the
+     * first of them
+     *
+     * @param d - data instance
+     * @returns {boolean} - true if it was selected, false if it was already selected here or nowhere else
+     */
+    propagateSelection(d) {
+        const key = this.recordKey(d);
+        const others = this.otherCompounds(key);
+
+        if (others.length === 0 || this.selections.has(this.previousCompound, key)) {
+            return false;
+        }
+
+        this.beginCommand();
+        this.addSelection(this.previousCompound, key, this.getFlag(others[0], key));
+        this.endCommand();
+        this.commitSelections(this.previousCompound);
+
+        return true;
+    };
+
+    /**
+     * Get the flag category of a selection
+     *
+     * @param {string} compound - compound of the selection
+     * @param {string} key - key of the data instance, see recordKey()
+     * @returns {string|undefined} - the flag category, or undefined if the key isn't selected for the compound
+     */
+    getFlag(compound, key) {
+        return this.selections.getFlag(compound, key);
+    };
+
+    /**
+     * Select a key for a compound, recording it if it's new or its flag changed
+     *
+     * @param {string} compound - compound to select the key for
+     * @param {string} key - key of the data instance, see recordKey()
+     * @param {string} [flag=this.activeFlag] - flag category to give the selection
+     */
+    addSelection(compound, key, flag=this.activeFlag) {
+        this.selections.add(compound, key, flag);
+    };
+
+    /**
+     * De-select a key for a compound, recording it if it was selected
+     *
+     * @param {string} compound - compound to de-select the key for
+     * @param {string} key - key of the data instance, see recordKey()
+     */
+    removeSelection(compound, key) {
+        this.selections.remove(compound, key);
+    };
+
+    /**
+     * Compute outlier suggestions for the current compound and y option using the method, window and threshold
+     * chosen in the DOM, then re-render to show them
+     */
+    suggestOutliers() {
+        const compound = this.previousCompound;
+        const method = this.elements.outlierMethod.value;
+        const threshold = parseFloat(this.elements.outlierThreshold.value);
+        let windowWidth = parseFloat(this.elements.outlierWindow.value);  // in x units, or days for time
+
+        if (this.axisType('x') === 'categorical' || this.xCompound() !== null) {
+            this.showError('Outliers can only be suggested against a time or numeric x option, not categories or a compound');
+            return;
+        } else if (this.axisType('x') === 'time') {
+            windowWidth *= 24 * 60 * 60 * 1000;  // days to ms
+        }
+
+        this.loadData(compound).then(data => {
+            if (compound !== this.previousCompound) {
+                return;  // compound changed while loading; these would be stale
+            }
+
+            this.suggestions = detectOutliers(data, this.dataXDefault, this.dataYDefault, method, windowWidth, threshold)
+                .filter(d => !this.selections.has(compound, this.recordKey(d)));
+            this.reviewIndex = 0;
+
+            this.render(compound);
+        }).catch(e => this.showError(e.message));
+    };
+
+    /**
+     * Select suggested outliers and remove them from the suggestions
+     *
+     * @param {boolean} [inZoom=false] - only accept suggestions within the current axis limits
+     */
+    acceptSuggestions(inZoom=false) {
+        const accepted = this.suggestions.filter(d => !inZoom || this.inLimits(d));
+
+        this.beginCommand();
+        accepted.forEach(d => this.addSelection(this.previousCompound, this.recordKey(d)));
+        this.endCommand();
+
+        this.suggestions = this.suggestions.filter(d => !accepted.includes(d));
+        this.reviewIndex = 0;
+
+        this.commitSelections(this.previousCompound);
+        this.render(this.previousCompound);
+    };
+
+    /**
+     * Accept or reject the suggestion being reviewed, then move on to the next one
+     *
+     * @param {boolean} accept - select the suggestion if true, otherwise only remove it from the suggestions
+     */
+    reviewSuggestion(accept) {
+        const d = this.suggestions[this.reviewIndex];
+
+        if (d === undefined) {
+            return;
+        }
+
+        if (accept) {
+            this.beginCommand();
+            this.addSelection(this.previousCompound, this.recordKey(d));
+            this.endCommand();
+            this.commitSelections(this.previousCompound);
+        }
+
+        // the next suggestion takes this one's place; wrap around at the end
+        this.suggestions.splice(this.reviewIndex, 1);
+        if (this.reviewIndex >= this.suggestions.length) {
+            this.reviewIndex = 0;
+        }
+
+        this.render(this.previousCompound);
+    };
+
+    /**
+     * Remove all suggestions without re-rendering
+     */
+    resetSuggestions() {
+        this.suggestions = [];
+        this.reviewIndex = 0;
+        this.updateSuggestionStatus();
+    };
+
+    /**
+     * Style suggested outliers and the suggestion under review on the plot, then update the status text
+     */
+    markSuggestions() {
+        if (this.useCanvas) {
+            this.requestDraw();  // suggestions are styled while drawing
+        }
+
+        const suggested = new Set(this.suggestions.map(d => this.recordKey(d)));
+        const reviewing = this.suggestions[this.reviewIndex];
+        const reviewKey = reviewing === undefined ? undefined : this.recordKey(reviewing);
+
+        this.graph.selectAll(`.${this.CSS.dataPointClass}`)
+            .classed(this.CSS.suggestedOutlierClass, d => {
+                const key = this.recordKey(d);
+                return suggested.has(key) && !this.selections.has(this.previousCompound, key);
+            })
+            .classed(this.CSS.reviewOutlierClass, d => this.recordKey(d) === reviewKey);
+
+        this.graph.selectAll(`.${this.CSS.reviewOutlierClass}`).raise();
+
+        this.updateSuggestionStatus();
+    };
+
+    /**
+     * Draw the reference line, band and seasonal fit chosen in the DOM over the plot, computed from all points of the
+     * current compound that aren't selected; draws nothing if none are chosen or either axis is categorical, and the
+     * seasonal fit can only be chosen against a time x option
+     *
+     * Parts of overlays with no position on the y axis, like values at or below zero on a log axis, are left out,
+     * except that bands are cut off at the bottom of a log axis.
+     */
+    drawOverlays() {
+        this.overlays.selectAll('*').remove();
+
+        if (!this.hasControls('overlayLine', 'overlayBand', 'overlayWindow', 'overlayWidth', 'overlayFit')) {
+            return;
+        }
+
+        // a seasonal fit needs time on the x axis, so it can't be chosen for other x options
+        const timeX = this.axisType('x') === 'time';
+        this.elements.overlayFit.disabled = !timeX;
+        this.elements.overlayFit.title = timeX ? '' : 'A seasonal fit can only be drawn against a time x option';
+
+        const line = this.elements.overlayLine.value;
+        const band = this.elements.overlayBand.value;
+        const fit = this.elements.overlayFit.checked && timeX;
+
+        if ((line === 'none' && band === 'none' && !fit) || this.xScale === undefined || !this.compoundData
+            || this.axisType('x') === 'categorical' || ['categorical', 'time'].includes(this.axisType('y'))) {
+            return;
+        }
+
+        const xRange = this.xScale.range();
+        const yRange = this.yScale.range();
+
+        this.overlayClip
+            .attr('x', d3.min(xRange))
+            .attr('y', d3.min(yRange))
+            .attr('width', Math.abs(xRange[1] - xRange[0]))
+            .attr('height', Math.abs(yRange[1] - yRange[0]));
+
+        const data = this.compoundData.filter(d => !this.selections.has(this.previousCompound, this.recordKey(d)));
+        const [xMin, xMax] = this.xScale.domain();
+        const visible = d => d.x >= xMin && d.x <= xMax;
+        const placed = value => isFinite(this.yScale(value));
+
+        let windowWidth = parseFloat(this.elements.overlayWindow.value);  // in x units, or days for time
+        const width = parseFloat(this.elements.overlayWidth.value);
+
+        if (this.axisType('x') === 'time') {
+            windowWidth *= 24 * 60 * 60 * 1000;  // days to ms
+        }
+
+        if (band !== 'none') {
+            const method = overlayBands[band];
+            const floor = (this.axisType('y') === 'log') ? d3.min(this.yScale.domain()) : -Infinity;
+            const bounds = rollingSummary(data, this.dataXDefault, this.dataYDefault, windowWidth, values => {
+                const center = method.center(values);
+                const spread = method.spread(values) || 0;
+                return [Math.max(center - width * spread, floor), center + width * spread];
+            }).filter(visible);
+
+            this.overlays.append('path')
+                .datum(bounds)
+                .attr('class', this.CSS.overlayBandClass)
+                .attr('d', d3.area()
+                    .defined(d => d.value.every(placed))
+                    .x(d => this.xScale(d.x))
+                    .y0(d => this.yScale(d.value[0]))
+                    .y1(d => this.yScale(d.value[1])));
+        }
+
+        if (line !== 'none') {
+            const centers = rollingSummary(data, this.dataXDefault, this.dataYDefault, windowWidth,
+                overlayLines[line].center).filter(visible);
+
+            this.overlays.append('path')
+                .datum(centers)
+                .attr('class', this.CSS.overlayLineClass)
+                .attr('fill', 'none')
+                .attr('d', d3.line()
+                    .defined(d => placed(d.value))
+                    .x(d => this.xScale(d.x))
+                    .y(d => this.yScale(d.value)));
+        }
+
+        if (fit) {
+            const fitted = seasonalFit(data, this.dataXDefault, this.dataYDefault);
+
+            if (fitted === null) {
+                return;  // too few points to fit
+            }
+
+            const curve = d3.range(201).map(i => {
+                const x = new Date(xMin.valueOf() + (xMax - xMin) * i / 200);
+                return {x, value: fitted(x)};
+            });
+
+            this.overlays.append('path')
+                .datum(curve)
+                .attr('class', this.CSS.overlayFitClass)
+                .attr('fill', 'none')
+                .attr('d', d3.line()
+                    .defined(d => placed(d.value))
+                    .x(d => this.xScale(d.x))
+                    .y(d => this.yScale(d.value)));
+        }
+    };
+
+    /**
+     * Preview the cleaned series by hiding or greying out the selected points of the current compound; starting a
+     * preview fits the axes to the points that remain, as a zoom that's undone again when the preview ends
+     *
+     * @param {string} mode - 'hide' or 'grey' to preview, or 'off' to show selected points as usual
+     */
+    setPreview(mode) {
+        if (!previewModes.includes(mode)) {
+            throw new Error(`Unknown preview mode '${mode}'; expected one of ${previewModes.join(', ')}`);
+        }
+
+        const previous = this.previewMode;
+        this.previewMode = mode;
+
+        if (this.hasControls('previewMode')) {
+            this.elements.previewMode.value = mode;
+        }
+
+        if (previous === 'off' && mode !== 'off') {
+            this.previewFit = true;
+        } else if (previous !== 'off' && mode === 'off') {
+            const xName = reverseKeyLookup(this.xOptions, this.dataXDefault);
+            const yName = reverseKeyLookup(this.yOptions, this.dataYDefault);
+            const limitStack = this.zoomHistory.get(this.previousCompound).get(this.joinXYStrings(xName, yName));
+
+            // only undo the fit if it's still the current zoom of this view
+            if (limitStack[limitStack.length - 1] === this.previewLimits) {
+                limitStack.pop();
+            }
+
+            this.previewLimits = null;
+        }
+
+        this.render(this.previousCompound);
+    };
+
+    /**
+     * Compare the current compound's data before and after removing selected points in the preview summary text,
+     * or hide it when not previewing; does nothing if there's no preview summary box
+     */
+    updatePreviewSummary() {
+        const box = d3.select(this.CSS.previewSummaryID);
+
+        if (this.previewMode === 'off' || !this.compoundData) {
+            box.attr('hidden', true).text('');
+            return;
+        }
+
+        const before = this.compoundData;
+        const after = before.filter(d => !this.selections.has(this.previousCompound, this.recordKey(d)));
+        const numeric = ['linear', 'log'].includes(this.axisType('y'));
+        const format = d3.format('.4~g');
+
+        const describe = data => {
+            const values = data.map(this.dataYDefault).filter(v => v != null && !isNaN(v));
+            let text = `${data.length} points`;
+
+            if (numeric && values.length > 0) {
+                text += `, mean ${format(d3.mean(values))}, median ${format(d3.median(values))}`
+                    + `, σ ${format(d3.deviation(values) || 0)}, range ${format(d3.min(values))} to `
+                    + `${format(d3.max(values))}`;
+            }
+
+            return text;
+        };
+
+        box.attr('hidden', null)
+            .text(`Before: ${describe(before)} | After: ${describe(after)} (${before.length - after.length} removed)`);
+    };
+
+    /**
+     * Describe the suggestions and the one under review in the suggestion status text
+     */
+    updateSuggestionStatus() {
+        const reviewing = this.suggestions[this.reviewIndex];
+        let text;
+
+        if (reviewing === undefined) {
+            text = 'No suggested outliers';
+        } else {
+            text = `${this.suggestions.length} suggested outlier(s); reviewing ${this.reviewIndex + 1}: `
+                + `${this.recordKey(reviewing)} (${this.dataYDefault(reviewing)})`;
+        }
+
+        d3.select(this.CSS.suggestionStatusID).text(text);
+    };
+
+    /**
+     * Start a selection command, or nest within the one in progress; until it ends, changes to the selections are
+     * recorded in this plot's history and not in that of any other plot sharing them
+     */
+    beginCommand() {
+        this.history.begin();
+        commandingDataSelectors.push(this);
+    };
+
+    /**
+     * Finish the selection command in progress, then update the undo/redo buttons
+     */
+    endCommand() {
+        commandingDataSelectors.pop();
+        this.history.end();
+        this.updateHistoryButtons();
+    };
+
+    /**
+     * Revert the most recent selection command and re-render
+     */
+    undoSelection() {
+        const command = this.history.undo();
+
+        if (command !== undefined) {
+            // revert in reverse order so repeated changes to a key end in its original state
+            this.applyChanges([...command].reverse().map(([c, key, before, after]) => [c, key, after, before]));
+        }
+    };
+
+    /**
+     * Re-apply the most recently undone selection command and re-render
+     */
+    redoSelection() {
+        const command = this.history.redo();
+
+        if (command !== undefined) {
+            this.applyChanges(command);
+        }
+    };
+
+    /**
+     * Apply a list of selection changes without recording them, then re-render to show them
+     *
+     * @param {Array} changes - list of [compound, key, flagBefore, flagAfter] changes
+     */
+    applyChanges(changes) {
+        for (let [c, key, before, after] of changes) {
+            if (after !== undefined) {
+                this.addSelection(c, key, after);
+            } else {
+                this.removeSelection(c, key);
+            }
+        }
+
+        this.updateHistoryButtons();
+        this.render(this.previousCompound);
+        this.saveSession();
+    };
+
+    /**
+     * Enable or disable the undo/redo selection buttons depending on the state of the history
+     */
+    updateHistoryButtons() {
+        if (this.hasControls('undoSelect')) {
+            this.buttons.undoSelect.disabled = !this.history.canUndo();
+        }
+
+        if (this.hasControls('redoSelect')) {
+            this.buttons.redoSelect.disabled = !this.history.canRedo();
+        }
+    };
+
+    /**
+     * Handle a mouse-over of a data point
+     *
+     * Style the point as slightly larger and add a dark grey border to show selection.
+     *
+     * @param d - the moused-over data point
+     * @param i - the index of the moused-over data point in all the data
+     * @param n - all the related objects in an array
+     */
+    handleMouseOver(d, i, n) {
+        // do nothing if there's a hold on the tooltip!
+        if (!this.toolTipGroup.hold.state()) {
+            d3.select(n[i]).raise() // raise to bring element to front; format element
+                .attr('r', 4)
+                .attr('stroke', 'darkslategrey')
+                .attr('stroke-width', '2');
+
+            const flag = this.getFlag(this.previousCompound, this.recordKey(d));
+            const others = this.otherCompounds(this.recordKey(d));
+            let divText = this.toolTipText(this, d)
+
+            if (flag !== undefined) {
+                divText += `<br><strong>Flag: </strong>${this.flagCategories[flag].label}`;
+            }
+
+            if (others.length > 0) {
+                divText += `<br><strong>Also selected in: </strong>${others.join(', ')}`;
+
+                if (flag === undefined) {
+                    divText += '<br><em>Right-click to select here too</em>';
+                }
+            }
+
+            this.toolTipGroup.raise().style('opacity', 1);
+
+            // the container is positioned, so the tooltip is placed relative to it
+            const [x, y] = d3.mouse(d3.select(this.CSS.canvasID).node());
+
+            this.toolTip.style('left', x + 15 + 'px')
+                .style('top', y + 20 + 'px');
+
+            this.toolTip.html(divText);
+        }
+    };
+
+    /**
+     * Select the event (this) to apply a transition, then call plot (that).handleMouseOut() to effect styling.
+     *
+     * Closure to provide the plot (this) as 'that' to the function for mouse-out events
+     *
+     * @returns {Function}
+     */
+    wrapMouseOut = () => {
+        const that = this;
+
+        return function() {
+            d3.select(this).transition()
+                .duration('150')
+                .attr('r', 3)
+                .attr('stroke-width', 0);
+
+            that.handleMouseOut(this.__data__);
+        }
+    };
+
+    /** Make the entire toolTipGroup invisible on mouse-out*/
+    handleMouseOut(d) {
+        if (this.toolTipGroup.hold.state()) {  // if there's a hold placed on the tooltip...
+            if (this.recordKey(d) === this.toolTipGroup.holder) {  // if hold was activated by this data instance...
+                // trigger it and remove tooltip if it returns true
+                if (!this.toolTipGroup.hold.trigger()) {  // if the hold is removed by triggering it
+                    this.toolTipGroup.style('opacity', 0);
+                }
+            }
+        } else {  // no hold in place; remove tooltip as usual
+            this.toolTipGroup.style('opacity', 0);
+        }
+    };
+
+    /**
+     * Add listeners to all UI elements that require one
+     */
+    initListeners() {
+        this.elements.selector.addEventListener('change', (e) => {
+
+            this.commitSelections(this.previousCompound);
+            let compound = e.target.value;
+            let previous = this.previousCompound;
+
+            this.resetSuggestions();  // suggestions are only valid for the compound they were made for
+            this.render(compound);
+            this.previousCompound = compound;
+
+            if (compound !== previous) {
+                this.emit('compoundchange', {compound, previous});
+            }
+        });
+
+        this.elements.ySelector.addEventListener('change', (e) => {
+            this.dataYDefault = this.yOptions[e.target.value];
+            this.resetSuggestions();
+            this.render(this.previousCompound);  // TODO: probably better to pass Y into render than set at class level
+            this.multiples.refresh();
+        });
+
+        // the rest of the controls are optional, and only listened to if given
+
+        if (this.hasControls('flagSelector')) {
+            this.elements.flagSelector.addEventListener('change', (e) => {
+                this.activeFlag = e.target.value;
+            });
+        }
+
+        if (this.hasControls('dragMode')) {
+            this.elements.dragMode.addEventListener('change', (e) => {
+                this.dragMode = e.target.value;
+            });
+        }
+
+        if (this.hasControls('exportFlags')) {
+            this.elements.exportFlags.addEventListener('change', () => this.updateJSONBox());
+        }
+
+        if (this.hasControls('previewMode')) {
+            this.elements.previewMode.addEventListener('change', (e) => this.setPreview(e.target.value));
+        }
+
+        if (this.hasControls('overlayLine', 'overlayBand', 'overlayWindow', 'overlayWidth', 'overlayFit')) {
+            for (let control of ['overlayLine', 'overlayBand', 'overlayWindow', 'overlayWidth', 'overlayFit']) {
+                this.elements[control].addEventListener('change', () => this.drawOverlays());
+            }
+        }
+
+        if (this.hasControls('wholeSample')) {
+            this.elements.wholeSample.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    // whole samples are only selected in compounds that are loaded, so load them all
+                    this.compounds.forEach(c => this.loadData(c).catch(err => this.showError(err.message, c)));
+                }
+            });
+        }
+
+        if (this.hasControls('linkSelections')) {
+            this.elements.linkSelections.addEventListener('change', (e) => {
+                this.multiples.linkAll = e.target.checked;
+            });
+        }
+
+        this.elements.xSelector.addEventListener('change', (e) => {
+            this.dataXDefault = this.xOptions[e.target.value];
+            this.render(this.previousCompound);  // TODO: probably better to pass Y into render than set at class level
+        });
+
+        for (let input of [this.elements.xMin, this.elements.xMax,
+                            this.elements.yMin, this.elements.yMax]) {
+            input.addEventListener('change', () => {
+                this.updateAxes(this.elements.xMin.value, this.elements.xMax.value,
+                    this.elements.yMin.value, this.elements.yMax.value)
+            });
+
+            // loop works because no this/event is used, so closures and targetting are a non-issue
+        }
+
+        this.buttons.saveSelect.addEventListener('click',
+            () => this.commitSelections(this.elements.selector.value));
+        this.buttons.downloadJSON.addEventListener('click', this.openExportDialog.bind(this));
+        this.buttons.clearPlot.addEventListener('click',
+            () => this.cleanPlot(this.elements.selector.value));
+        this.buttons.clearAll.addEventListener('click', this.totalRefresh.bind(this));
+        this.buttons.resetAxes.addEventListener('click', () => this.updateAxes());
+        this.buttons.undoZoom.addEventListener('click', () => {
+            let xName = reverseKeyLookup(this.xOptions, this.dataXDefault);
+            let yName = reverseKeyLookup(this.yOptions, this.dataYDefault);
+
+            // pop the current limits off the stack and re-call updateAxes and re-render with no params;
+            //  it will find the next-most-recent zoom on the stack (or default)
+            this.zoomHistory.get(this.previousCompound).get(this.joinXYStrings(xName, yName)).pop();
+            this.updateAxes();
+        });
+
+        if (this.hasControls('exportDialog', 'exportFormat', 'exportFlags', 'exportMetadata', 'confirmExport')) {
+            this.buttons.confirmExport.addEventListener('click', () => {
+                this.exportSelections(this.elements.exportFormat.value, this.elements.exportFlags.checked,
+                    this.elements.exportMetadata.checked).catch(e => this.showError(e.message));
+            });
+        }
+
+        if (this.hasControls('cleanScope', 'cleanMode', 'cleanFormat', 'exportCleaned')) {
+            this.buttons.exportCleaned.addEventListener('click', () => {
+                this.exportCleanedData(this.elements.cleanScope.value, this.elements.cleanMode.value,
+                    this.elements.cleanFormat.value).catch(e => this.showError(e.message));
+            });
+        }
+
+        if (this.hasControls('importJSON', 'importFile')) {
+            this.buttons.importJSON.addEventListener('click', () => this.elements.importFile.click());
+            this.elements.importFile.addEventListener('change', this.importJSONfile.bind(this));
+        }
+
+        if (this.hasControls('reloadData')) {
+            this.buttons.reloadData.addEventListener('click', this.reloadData.bind(this));
+        }
+
+        if (this.hasControls('discardSession')) {
+            this.buttons.discardSession.addEventListener('click', this.discardSession.bind(this));
+        }
+
+        if (this.hasControls('outlierMethod', 'outlierWindow', 'outlierThreshold', 'suggestOutliers')) {
+            this.buttons.suggestOutliers.addEventListener('click', this.suggestOutliers.bind(this));
+        }
+
+        // suggestions can only be made with the controls above, but each way of handling them is optional
+        const suggestionButtons = {
+            acceptAllSuggestions: () => this.acceptSuggestions(false),
+            acceptZoomSuggestions: () => this.acceptSuggestions(true),
+            acceptSuggestion: () => this.reviewSuggestion(true),
+            rejectSuggestion: () => this.reviewSuggestion(false),
+            clearSuggestions: () => {
+                this.resetSuggestions();
+                this.render(this.previousCompound);
+            }
+        };
+
+        for (let [button, listener] of Object.entries(suggestionButtons)) {
+            if (this.hasControls(button)) {
+                this.buttons[button].addEventListener('click', listener);
+            }
+        }
+
+        if (this.hasControls('toggleMultiples')) {
+            this.buttons.toggleMultiples.addEventListener('click', () => {
+                this.multiples.show(!this.multiples.isShown());
+            });
+        }
+
+        if (this.hasControls('undoSelect')) {
+            this.buttons.undoSelect.addEventListener('click', this.undoSelection.bind(this));
+        }
+
+        if (this.hasControls('redoSelect')) {
+            this.buttons.redoSelect.addEventListener('click', this.redoSelection.bind(this));
+        }
+
+        // keyboard shortcuts go to the plot last clicked in or whose controls were last used
+        const activate = () => activeDataSelector = this;
+        activeDataSelector = activeDataSelector || this;
+
+        for (let node of [d3.select(this.CSS.canvasID).node(), ...Object.values(this.elements),
+                          ...Object.values(this.buttons)]) {
+            node.addEventListener('pointerdown', activate, true);
+            node.addEventListener('focusin', activate);
+        }
+
+        document.addEventListener('keydown', (e) => {
+            // leave undo/redo in text inputs to the browser
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || e.target.matches('input, textarea, select')
+                || activeDataSelector !== this) {
+                return;
+            }
+
+            e.preventDefault();
+            e.shiftKey ? this.redoSelection() : this.undoSelection();
+        });
+    };
+
+    /**
+     * Initialize variables or rest on a button-press
+     *
+     * @param {object|null} [session=null] - previously saved session to restore before rendering, see loadSession()
+     */
+    initVars(session=null) {
+        for (let opt in this.elements.selector.options) {
+            this.elements.selector.options.remove(0)
+        }  // clear any options before re-populating on refresh or reset of all plots
+
+        for (let c of this.compounds) {
+            let option = document.createElement('option');
+            option.value = c;
+            option.textContent = c;
+            this.elements.selector.appendChild(option);
+
+            this.selections.addCompound(c);
+        }
+
+        if (this.hasControls('flagSelector')) {
+            for (let opt in this.elements.flagSelector.options) {
+                this.elements.flagSelector.options.remove(0)
+            }  // clear any options before re-populating on refresh or reset of all plots
+
+            for (let [flag, category] of Object.entries(this.flagCategories)) {
+                let option = document.createElement('option');
+                option.value = flag;
+                option.textContent = category.label;
+                option.style.color = category.color;
+                this.elements.flagSelector.appendChild(option);
+            }
+
+            this.elements.flagSelector.value = this.activeFlag;
+        }
+
+        if (this.hasControls('previewMode')) {
+            this.elements.previewMode.value = this.previewMode;
+        }
+
+        for (let opt in this.elements.ySelector.options) {
+            this.elements.ySelector.options.remove(0)
+        }  // clear any options before re-populating on refresh or reset of all plots
+
+        for (let opt of Object.keys(this.yOptions)) {
+            let option = document.createElement('option');
+            option.value = opt;
+            option.textContent = opt;
+            this.elements.ySelector.appendChild(option);
+        }
+
+        for (let opt in this.elements.xSelector.options) {
+            this.elements.xSelector.options.remove(0)
+        }  // clear any options before re-populating on refresh or reset of all plots
+
+        for (let opt of Object.keys(this.xOptions)) {
+            let option = document.createElement('option');
+            option.value = opt;
+            option.textContent = opt;
+            this.elements.xSelector.appendChild(option);
+        }
+
+        if (this.hasControls('outlierMethod')) {
+            for (let opt in this.elements.outlierMethod.options) {
+                this.elements.outlierMethod.options.remove(0)
+            }  // clear any options before re-populating on refresh or reset of all plots
+
+            for (let [opt, method] of Object.entries(outlierMethods)) {
+                let option = document.createElement('option');
+                option.value = opt;
+                option.textContent = method.label;
+                this.elements.outlierMethod.appendChild(option);
+            }
+        }
+
+        if (this.hasControls('overlayLine', 'overlayBand', 'overlayWindow', 'overlayWidth', 'overlayFit')) {
+            for (let [element, methods, none] of [['overlayLine', overlayLines, 'No line'],
+                                                  ['overlayBand', overlayBands, 'No band']]) {
+                for (let opt in this.elements[element].options) {
+                    this.elements[element].options.remove(0)
+                }  // clear any options before re-populating on refresh or reset of all plots
+
+                for (let [opt, label] of [['none', none], ...Object.entries(methods).map(([k, m]) => [k, m.label])]) {
+                    let option = document.createElement('option');
+                    option.value = opt;
+                    option.textContent = label;
+                    this.elements[element].appendChild(option);
+                }
+            }
+
+            this.elements.overlayLine.value = 'none';
+            this.elements.overlayBand.value = 'none';
+        }
+
+        this.resetSuggestions();
+
+        let xName = reverseKeyLookup(this.yOptions, this.dataYDefault)
+        let yName = reverseKeyLookup(this.xOptions, this.dataXDefault);
+        this.elements.ySelector.value = xName;
+        this.elements.xSelector.value = yName;
+
+        this.zoomHistory.clear();  // clear in case this is a refresh
+
+        for (let c of this.compounds) {
+            this.zoomHistory.set(c, new Map());  // create a sub-map for each compound
+
+            for (let xOpt of Object.keys(this.xOptions)) {
+                for (let yOpt of Object.keys(this.yOptions)) {
+                    this.zoomHistory.get(c).set(this.joinXYStrings(xOpt, yOpt), []);
+                    // intialize every xy option combo to an empty array
+                }
+            }
+
+        }
+
+        this.previousCompound = this.compounds[0];  // default to first compound in provided list
+
+        if (session !== null) {
+            this.applySession(session);
+        }
+
+        this.updateHistoryButtons();
+        this.render(this.previousCompound)
+    };
+
+    /**
+     * Read the autosaved session for this dataset configuration, and ask the user if it should be restored
+     *
+     * @returns {object|null} - the saved session if one exists and the user chose to restore it, otherwise null
+     */
+    loadSession() {
+        let session;
+
+        try {
+            session = JSON.parse(window.localStorage.getItem(this.sessionKey));
+        } catch (e) {
+            this.showError(`Could not read the saved session: ${e.message}`, this.sessionKey);
+            return null;
+        }
+
+        if (session === null || !session.selections || Object.keys(session.selections).length === 0) {
+            return null;
+        }
+
+        const restore = window.confirm(
+            `Restore the previous session saved ${new Date(session.savedAt).toLocaleString()} `
+            + `with ${Object.keys(session.selections).length} selected date(s)?\n\n`
+            + 'Cancel to start a new session; the saved session will be overwritten on the next change.'
+        );
+
+        return restore ? session : null;
+    };
+
+    /**
+     * Restore selections, zoom history, compound and x/y options from a saved session
+     *
+     * Anything referring to a compound or x/y option that's no longer configured is ignored, and selections that
+     * match no record are dropped once the data is loaded, see dropUnknownKeys().
+     *
+     * @param {object} session - session as created by serializeSession()
+     */
+    applySession(session) {
+        const flags = session.flags || {};
+
+        for (let [date, compounds] of Object.entries(session.selections)) {
+            for (let c of compounds.filter(c => this.selections.hasCompound(c))) {
+                let flag = (flags[c] || {})[date];
+                // this isn't within a command, so the restore isn't recorded and can't be undone
+                this.addSelection(c, date, flag in this.flagCategories ? flag : this.activeFlag);
+            }
+        }
+
+        this.dropUnknownKeys(this.compounds.filter(c => this.selections.size(c) > 0));
+
+        // limits of time axes are stringified on save, so find the axis types of each x/y pair to convert them back
+        const axisTypes = {};
+        for (let xOpt of Object.keys(this.xOptions)) {
+            for (let yOpt of Object.keys(this.yOptions)) {
+                axisTypes[this.joinXYStrings(xOpt, yOpt)] = [this.xTypes[xOpt], this.yTypes[yOpt]];
+            }
+        }
+
+        const parseLimit = (value, type) => (type === 'time') ? new Date(value) : value;
+
+        for (let [c, stacks] of Object.entries(session.zoomHistory || {})) {
+            for (let [xy, limitStack] of Object.entries(stacks || {})) {
+                if (this.zoomHistory.has(c) && this.zoomHistory.get(c).has(xy) && Array.isArray(limitStack)) {
+                    const [xType, yType] = axisTypes[xy];
+
+                    this.zoomHistory.get(c).set(xy, limitStack.map(limits => ({
+                        xMin: parseLimit(limits.xMin, xType),
+                        xMax: parseLimit(limits.xMax, xType),
+                        yMin: parseLimit(limits.yMin, yType),
+                        yMax: parseLimit(limits.yMax, yType)
+                    })));
+                }
+            }
+        }
+
+        if (this.compounds.includes(session.compound)) {
+            this.previousCompound = session.compound;
+            this.elements.selector.value = session.compound;
+        }
+
+        if (session.xOption in this.xOptions) {
+            this.dataXDefault = this.xOptions[session.xOption];
+            this.elements.xSelector.value = session.xOption;
+        }
+
+        if (session.yOption in this.yOptions) {
+            this.dataYDefault = this.yOptions[session.yOption];
+            this.elements.ySelector.value = session.yOption;
+        }
+    };
+
+    /**
+     * Load compounds and de-select any of their keys that no record has, listing them in the import report box
+     *
+     * Restored selections are applied before the data is loaded, so they're checked here instead of as they're
+     * added, like imports are. Compounds that fail to load are left as they are; the failure is shown when rendered.
+     *
+     * @param {string[]} compounds - compounds to check
+     * @returns {Promise} - resolves to a list of the selections dropped
+     */
+    dropUnknownKeys(compounds) {
+        return Promise.all(compounds.map(c => this.loadData(c).catch(() => null))).then(allData => {
+            let problems = [];
+
+            compounds.filter((c, i) => allData[i] !== null).forEach(c => {
+                for (let key of this.selections.keys(c).filter(key => !this.recordKeys.get(c).has(key))) {
+                    this.removeSelection(c, key);
+                    problems.push(`${key}: no record of ${c} has this key`);
+                }
+            });
+
+            if (problems.length) {
+                const kept = compounds.reduce((sum, c) => sum + this.selections.size(c), 0);
+                this.reportImport('the saved session', kept, problems);
+                this.render(this.previousCompound);
+            }
+
+            return problems;
+        });
+    };
+
+    /**
+     * Create a JSON-friendly object of all state needed to resume this session
+     *
+     * @returns {object}
+     */
+    serializeSession() {
+        let zoomHistory = {};
+
+        this.zoomHistory.forEach((stacks, c) => {
+            zoomHistory[c] = Object.fromEntries(stacks);
+        });
+
+        return {
+            savedAt: Date.now(),
+            compound: this.previousCompound,
+            xOption: reverseKeyLookup(this.xOptions, this.dataXDefault),
+            yOption: reverseKeyLookup(this.yOptions, this.dataYDefault),
+            ...this.selections.serialize(),  // selections and flags
+            zoomHistory
+        };
+    };
+
+    /**
+     * Get the session state as a string to compare against that last saved, leaving out when it was saved
+     *
+     * @returns {string}
+     */
+    sessionState() {
+        const {savedAt, ...state} = this.serializeSession();
+        return JSON.stringify(state);
+    };
+
+    /**
+     * Autosave the session to localStorage
+     *
+     * Saves are debounced, so rapid changes (like re-marking all selected points on render) only write once. Nothing
+     * is written until the session differs from the one the page opened with, so a saved session the user chose not
+     * to restore is kept until they change something.
+     */
+    saveSession() {
+        clearTimeout(this.sessionTimer);
+
+        this.sessionTimer = setTimeout(() => {
+            const state = this.sessionState();
+
+            if (this.savedState === undefined || state === this.savedState) {
+                return;
+            }
+
+            this.savedState = state;
+
+            try {
+                window.localStorage.setItem(this.sessionKey, JSON.stringify(this.serializeSession()));
+                this.clearErrors(this.sessionKey);
+            } catch (e) {
+                // eg storage is full or disabled; shown until a later autosave succeeds
+                this.clearErrors(this.sessionKey);
+                this.showError(`Could not autosave the session: ${e.message}`, this.sessionKey);
+            }
+        }, 500);
+    };
+
+    /**
+     * Remove the autosaved session from localStorage; selections in the UI are left as they are
+     */
+    discardSession() {
+        clearTimeout(this.sessionTimer);
+
+        try {
+            window.localStorage.removeItem(this.sessionKey);
+            this.clearErrors(this.sessionKey);
+        } catch (e) {
+            this.clearErrors(this.sessionKey);
+            this.showError(`Could not discard the saved session: ${e.message}`, this.sessionKey);
+        }
+    };
+
+    joinXYStrings(x, y) {
+        return 'x' + x + '_y' + y;
+    }
+
+    /**
+     * Format a Date object as an ISO string
+     *
+     * @param date - date to format
+     * @param salt - string or stringable information to include after date
+     * @param {string} timeZone - IANA name of the time zone to give the time in; keys are always in UTC
+     * @returns {string} - formatted string of the ISO date and time, removing the timezone
+     */
+    formatISODate = (date, salt=null, timeZone='UTC') => {
+        return SelectionStore.formatKey((timeZone === 'UTC') ? date : new Date(wallTime(date, timeZone)), salt);
+    };
+
+    /**
+     * Format a time as the value of a datetime-local input, in the display time zone
+     *
+     * @param {Date} date
+     * @returns {string} - eg '2019-03-19T02:20'
+     */
+    formatDisplayTime(date) {
+        return new Date(wallTime(date, this.displayTimeZone)).toISOString().slice(0, 16);
+    };
+
+    /**
+     * Read the value of a datetime-local input as a wall-clock time in the display time zone
+     *
+     * @param {string} value - eg '2019-03-19T02:20'
+     * @returns {Date}
+     */
+    parseDisplayTime(value) {
+        return zonedToUTC(Date.parse(value + 'Z'), this.displayTimeZone);
+    };
+
+    /**
+     * Get a copy of a time scale for drawing its axis in the display time zone, so ticks fall on round wall-clock
+     * times there; format its ticks with this.timeFormat
+     *
+     * @param scale - time scale of the plot
+     * @returns - UTC scale from the plot's domain as wall-clock times to the same range
+     */
+    zonedScale(scale) {
+        return d3.scaleUtc()
+            .domain(scale.domain().map(d => wallTime(d, this.displayTimeZone)))
+            .range(scale.range());
+    };
+
+    /**
+     * Get the key a data instance is selected under, which identifies it in exports, imports and other compounds
+     *
+     * @param d - data instance
+     * @returns {string} - the key given by recordId, or the formatted sample date (see SelectionStore.formatKey())
+     */
+    recordKey(d) {
+        return (this.recordId === null) ? SelectionStore.formatKey(d.date) : String(this.recordId(d));
+    };
+
+    /**
+     * Update text box of selected data, then call update of JSON text box after
+     *
+     * @param {Iterable} newTextSet - keys to display
+     */
+    updateTextBoxes(newTextSet) {
+        const texts = this.textBox.selectAll("p")
+            .data(d3.set(Array.from(newTextSet).sort()).values());
+
+        const textFunc = (d) => {
+            let ct;
+            // return the 'dateString (countOfCompoundsFilteredForThisDate)' like '2018-3-31 10:02 (3)'
+            ct = this.selections.compoundsOf(d).length;
+
+            let flag = this.getFlag(this.previousCompound, d);
+            let label = (flag === undefined) ? '' : ` [${this.flagCategories[flag].label}]`;
+
+            return `${d} (${ct})${label}`
+        };
+
+        const flagColor = (d) => {
+            let flag = this.getFlag(this.previousCompound, d);
+            return (flag === undefined) ? null : this.flagCategories[flag].color;
+        };
+
+        texts.exit().remove();
+        texts.text(d => textFunc(d)).style('color', flagColor);
+        texts.enter().append("p").text(d => textFunc(d)).style('color', flagColor);
+
+        this.updateJSONBox();
+    };
+
+    /**
+     * Update the JSON text box using data contained in this.
+     */
+    updateJSONBox() {
+        let compoundsInJSON = this.selections.compounds().filter(c => this.selections.size(c) !== 0);
+
+        // TODO: Sort is left out here for performance.
+        const flags = this.hasControls('exportFlags') && this.elements.exportFlags.checked;
+        let jsonContent = this.formatJSON(this.selections.byKeyObject(flags));
+
+        d3.select(this.CSS.jsonTextBoxID).text(jsonContent);
+
+        if (compoundsInJSON.length > 0) {
+            d3.select(this.CSS.jsonListID).text(`Contains: {${compoundsInJSON.join(', ')}}`);
+        } else {
+            d3.select(this.CSS.jsonListID).text('');
+        }
+    };
+
+    /**
+     * Show the selections of a compound in the text boxes, then autosave
+     *
+     * The small multiples are marked once per action instead, by emitSelectionChanges().
+     *
+     * @param {string} compound - compound to show selections of; usually the active compound
+     */
+    commitSelections(compound) {
+        this.updateTextBoxes(this.selections.keys(compound));
+        this.saveSession();
+    };
+
+    /**
+     * Finalize JSON data and allow it to be downloaded by the user in the plain date: [compounds] format
+     */
+    getJSONfile() {
+        this.commitSelections(this.elements.selector.value);
+
+        downloadFile(this.formatJSON(this.selections.byKeyObject(false, true)), 'output.json');
+    };
+
+    /**
+     * Commit selections, then show the dialog for choosing an export format, or download output.json as
+     * getJSONfile() does if there's no dialog
+     */
+    openExportDialog() {
+        if (!this.hasControls('exportDialog', 'exportFormat', 'exportFlags', 'exportMetadata', 'confirmExport')) {
+            this.getJSONfile();
+            return;
+        }
+
+        this.commitSelections(this.elements.selector.value);
+        this.elements.exportDialog.showModal();
+    };
+
+    /**
+     * Download all selections in the given format
+     *
+     * Formats are:
+     *  'json-date' - output.json of date: [compounds] (the format of getJSONfile()), or date: {compound: flag}
+     *  'json-compound' - selections.json of compound: [dates], or compound: {date: flag}
+     *  'csv' or 'tsv' - selections.csv/tsv in long format, one row per selected record; flags are always included
+     *  'files' - one <compound>.json per compound with selections, containing a list of dates, or date: flag
+     *
+     * @param {string} format - one of the formats above
+     * @param {boolean} [includeFlags=false] - include the flag of each selection in JSON formats
+     * @param {boolean} [includeMetadata=false] - add a header of data sources, UTC offset and time of export; JSON is
+     *     then wrapped as {metadata: {...}, selections: {...}}
+     * @returns {Promise} - promise resolving once all files are downloaded
+     */
+    exportSelections(format, includeFlags=false, includeMetadata=false) {
+        this.commitSelections(this.elements.selector.value);
+
+        const metadata = this.exportMetadata(format);
+        const wrap = (selections, extra={}) => includeMetadata ? {metadata: {...metadata, ...extra}, selections} : selections;
+        const exported = () => this.emit('export', {kind: 'selections', format, metadata});
+
+        switch (format) {
+            case 'json-date':
+                downloadFile(this.formatJSON(wrap(this.selections.byKeyObject(includeFlags, true))),
+                    'output.json', 'application/json');
+                return Promise.resolve().then(exported);
+            case 'json-compound':
+                downloadFile(this.formatJSON(wrap(this.selections.byCompoundObject(includeFlags))),
+                    'selections.json', 'application/json');
+                return Promise.resolve().then(exported);
+            case 'files':
+                return downloadFiles(Object.entries(this.selections.byCompoundObject(includeFlags))
+                    .map(([c, selections]) => [this.formatJSON(wrap(selections, {compound: c})), `${c}.json`,
+                        'application/json'])
+                ).then(exported);
+            case 'csv':
+            case 'tsv':
+                return this.selectionRows().then(rows => {
+                    const formatRows = (format === 'csv') ? d3.csvFormatRows : d3.tsvFormatRows;
+                    let content = formatRows(rows);
+
+                    if (includeMetadata) {
+                        content = this.metadataHeader(metadata) + content;
+                    }
+
+                    downloadFile(content, `selections.${format}`, `text/${format === 'csv' ? 'csv' : 'tab-separated-values'}`);
+                }).then(exported);
+            default:
+                return Promise.reject(new Error(`Unknown export format '${format}'`));
+        }
+    };
+
+    /**
+     * Download the data of one or all compounds with selected records removed or flagged; one file per compound
+     *
+     * Records are written with the columns of their source, in the format it gave them (times included), so a
+     * cleaned file in the same format can replace the original.
+     *
+     * @param {string} scope - 'current' for the compound being plotted, or 'all' for every compound
+     * @param {string} mode - 'drop' to leave out selected records, or 'flag' to add their flag as selection_flag
+     * @param {string} format - 'json' or 'csv'
+     * @returns {Promise} - promise resolving once all files are downloaded
+     */
+    exportCleanedData(scope, mode, format) {
+        this.commitSelections(this.elements.selector.value);
+
+        const compounds = (scope === 'all') ? this.compounds : [this.previousCompound];
+
+        return Promise.all(compounds.map(c => this.cleanedRecords(c, mode))).then(allRecords => {
+            return downloadFiles(compounds.map((c, i) => (format === 'csv')
+                ? [d3.csvFormat(allRecords[i]), `${c}_cleaned.csv`, 'text/csv']
+                : [JSON.stringify(allRecords[i]), `${c}_cleaned.json`, 'application/json']));
+        }).then(() => this.emit('export', {kind: 'cleaned', format, metadata: this.exportMetadata(format)}));
+    };
+
+    /**
+     * Get the records of a compound in the format of its source, with selected records removed or flagged
+     *
+     * @param {string} compound - compound to load records of
+     * @param {string} mode - 'drop' to leave out selected records, or 'flag' to add their flag as selection_flag
+     *     (null if not selected)
+     * @returns {Promise<Array>}
+     */
+    cleanedRecords(compound, mode) {
+        return this.loadData(compound).then(data => {
+            const source = this.dataSources[compound];
+            const records = data.map(d => {
+                let record = Object.assign({}, source.original(d));
+
+                if (mode === 'flag') {
+                    let flag = this.getFlag(compound, this.recordKey(d));
+                    record.selection_flag = (flag === undefined) ? null : flag;
+                }
+
+                return record;
+            });
+
+            if (mode === 'drop') {
+                return records.filter((record, i) => !this.selections.has(compound, this.recordKey(data[i])));
+            }
+
+            return records;
+        });
+    };
+
+    /**
+     * Describe where the exported selections came from
+     *
+     * @param {string} format - the export format, see exportSelections()
+     * @returns {object} - object of data sources, UTC offset, time zones, x/y options, format and time of export
+     */
+    exportMetadata(format) {
+        return {
+            sources: Object.fromEntries(this.compounds.map(c => [c, this.dataSources[c].describe()])),
+            UTCoffset: this.UTCoffset,
+            dataTimeZone: this.dataTimeZone,
+            displayTimeZone: this.displayTimeZone,
+            xOption: reverseKeyLookup(this.xOptions, this.dataXDefault),
+            yOption: reverseKeyLookup(this.yOptions, this.dataYDefault),
+            format,
+            exported: new Date().toISOString()
+        };
+    };
+
+    /**
+     * Format metadata as '# key: value' comment lines for the top of a CSV/TSV file
+     *
+     * @param {object} metadata - metadata as created by exportMetadata()
+     * @returns {string}
+     */
+    metadataHeader(metadata) {
+        return Object.entries(metadata).map(([key, value]) => {
+            if (value !== null && typeof value === 'object') {
+                value = Object.entries(value).map(([k, v]) => `${k}=${v}`).join('; ');
+            }
+            return `# ${key}: ${value}\n`;
+        }).join('');
+    };
+
+    /**
+     * Build the rows of the long-format table of selections, loading each compound with selections to get values
+     *
+     * @returns {Promise<Array[]>} - promise resolving to a header row, then one row of date, id (the record's key),
+     *     compound, x option, x value, y option, y value and flag for each selected record, sorted by date then
+     *     compound
+     */
+    selectionRows() {
+        const xName = reverseKeyLookup(this.xOptions, this.dataXDefault);
+        const yName = reverseKeyLookup(this.yOptions, this.dataYDefault);
+        const compounds = this.compounds.filter(c => this.selections.size(c) > 0);
+
+        return Promise.all(compounds.map(c => this.loadData(c))).then(allData => {
+            const rows = [];
+
+            compounds.forEach((c, i) => {
+                for (let d of allData[i].filter(d => this.selections.has(c, this.recordKey(d)))) {
+                    let x = this.dataXDefault(d);
+
+                    rows.push([
+                        this.formatISODate(d.date),
+                        this.recordKey(d),
+                        c,
+                        xName,
+                        x instanceof Date ? this.formatISODate(x) : x,
+                        yName,
+                        this.dataYDefault(d),
+                        this.getFlag(c, this.recordKey(d))
+                    ]);
+                }
+            });
+
+            rows.sort((a, b) => d3.ascending(a[0], b[0]) || d3.ascending(a[2], b[2]));
+
+            return [['date', 'id', 'compound', 'x_option', 'x', 'y_option', 'y', 'flag'], ...rows];
+        });
+    };
+
+    /**
+     * Stringify selections, putting each top-level entry on its own line
+     *
+     * @param {object} content - object to stringify; Maps and Sets are converted to arrays
+     * @returns {string}
+     */
+    formatJSON(content) {
+        content = JSON.stringify(content, this.mapReplacer, " ");
+        content = this.regexReplace(content, '],', '],\n');
+        return this.regexReplace(content, '},', '},\n');
+    };
+
+    /**
+     * Read the file chosen in the import file input and import the selections it contains
+     */
+    importJSONfile() {
+        let input = this.elements.importFile;
+        let file = input.files[0];
+
+        if (file === undefined) {
+            return;
+        }
+
+        let reader = new FileReader();
+
+        reader.onload = () => {
+            let content;
+
+            try {
+                content = JSON.parse(reader.result);
+            } catch (e) {
+                this.reportImport(file.name, 0, [`Could not parse file: ${e.message}`]);
+                return;
+            }
+
+            this.importSelections(content)
+                .then(([imported, problems, reflagged]) => this.reportImport(file.name, imported, problems, reflagged))
+                .catch(e => this.reportImport(file.name, 0, [e.message]));
+        };
+
+        reader.readAsText(file);
+        input.value = '';  // clear so the same file can be imported again
+    };
+
+    /**
+     * Replace all selections with those in a previously downloaded output.json
+     *
+     * Data for each compound in the file is loaded to check that every key still exists; entries with an unknown
+     * compound or a key that isn't in that compound's data (see recordKey()) are skipped and returned as problems.
+     * Entries with an unknown flag are imported with the active flag. Selections are only replaced if something in the
+     * file can be imported, so a file for other data (or not an output at all) is rejected without changing them.
+     *
+     * @param {object} content - object of date: [compounds] or date: {compound: flag} pairs, as written by
+     *     getJSONfile()
+     * @returns {Promise<[number, string[], string[]]>} - promise resolving to the number of imported selections, a
+     *     list of descriptions of any skipped entries, and one of entries imported with the active flag instead of
+     *     their own; rejects if the file has entries but none can be imported
+     */
+    importSelections(content) {
+        if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+            return Promise.reject(new Error('Expected an object of date: [compounds] pairs'));
+        }
+
+        if (content.metadata !== undefined && content.selections !== undefined) {
+            // exported with a metadata header; compound-keyed exports are inverted back to date-keyed
+            if (content.metadata.format === 'json-compound') {
+                content = this.invertSelections(content.selections);
+            } else if (content.metadata.format === 'files') {
+                content = this.invertSelections({[content.metadata.compound]: content.selections});
+            } else {
+                content = content.selections;
+            }
+        }
+
+        let flagsByDate = {};
+
+        for (let [date, compounds] of Object.entries(content)) {
+            if (Array.isArray(compounds)) {
+                // plain format; everything gets the default flag
+                flagsByDate[date] = Object.fromEntries(compounds.map(c => [c, this.activeFlag]));
+            } else if (compounds !== null && typeof compounds === 'object') {
+                flagsByDate[date] = compounds;
+            } else {
+                return Promise.reject(new Error(`Expected a list of compounds for ${date}`));
+            }
+        }
+
+        let fileCompounds = new Set([].concat(...Object.values(flagsByDate).map(Object.keys)));
+        let known = this.compounds.filter(c => fileCompounds.has(c));
+
+        if (fileCompounds.size > 0 && known.length === 0) {
+            return Promise.reject(new Error(`None of the compounds in the file (${[...fileCompounds].join(', ')}) `
+                + 'are plotted here; no selections were changed'));
+        }
+
+        // load each compound in the file once to get all keys in its data
+        return Promise.all(known.map(c => this.loadData(c)))
+            .then(allData => {
+                let keysByCompound = new Map();
+                let problems = [];
+                let reflagged = [];
+                let accepted = [];  // [compound, key, flag] of each entry that can be imported
+
+                known.forEach((c, i) => keysByCompound.set(c, new Set(allData[i].map(d => this.recordKey(d)))));
+
+                // outputs from before records were keyed by recordId are keyed by date alone; map those dates to the
+                // key of the record with that date, if there's only one
+                let keysByDateByCompound = new Map();
+
+                if (this.recordId !== null) {
+                    known.forEach((c, i) => {
+                        const keysByDate = new Map();
+
+                        for (let d of allData[i]) {
+                            const date = SelectionStore.formatKey(d.date);
+                            keysByDate.set(date, (keysByDate.get(date) || []).concat(this.recordKey(d)));
+                        }
+
+                        keysByDateByCompound.set(c, keysByDate);
+                    });
+                }
+
+                for (let [date, compoundFlags] of Object.entries(flagsByDate)) {
+                    for (let [c, flag] of Object.entries(compoundFlags)) {
+                        let key = date;
+
+                        if (!keysByCompound.has(c)) {
+                            problems.push(`${date}: unknown compound '${c}'`);
+                            continue;
+                        } else if (!keysByCompound.get(c).has(date)) {
+                            const dated = keysByDateByCompound.has(c) ? keysByDateByCompound.get(c).get(date) || [] : [];
+
+                            if (dated.length !== 1) {
+                                problems.push(dated.length
+                                    ? `${date}: ${dated.length} records of ${c} have this date; select the right one by hand`
+                                    : `${date}: no record of ${c} has this key`);
+                                continue;
+                            }
+
+                            key = dated[0];
+                        }
+
+                        if (!(flag in this.flagCategories)) {
+                            reflagged.push(`${date}: unknown flag '${flag}' for ${c}`);
+                            flag = this.activeFlag;
+                        }
+
+                        accepted.push([c, key, flag]);
+                    }
+                }
+
+                if (fileCompounds.size > 0 && accepted.length === 0) {
+                    throw new Error(`Nothing in the file matches the loaded data; no selections were changed `
+                        + `(eg ${problems.slice(0, 3).join('; ')})`);
+                }
+
+                // the whole import is one command, so it can be undone
+                this.beginCommand();
+                this.selections.clear();
+                accepted.forEach(([c, key, flag]) => this.addSelection(c, key, flag));
+                this.endCommand();
+
+                this.render(this.previousCompound);
+
+                return [accepted.length, problems, reflagged];
+            });
+    };
+
+    /**
+     * Convert compound: [dates] or compound: {date: flag} selections to date: {compound: flag}
+     *
+     * @param {object} selections - compound-keyed selections, as created by SelectionStore.byCompoundObject()
+     * @returns {object}
+     */
+    invertSelections(selections) {
+        let flagsByDate = {};
+
+        for (let [c, dates] of Object.entries(selections)) {
+            const flags = Array.isArray(dates) ? Object.fromEntries(dates.map(d => [d, this.activeFlag])) : dates;
+
+            for (let [date, flag] of Object.entries(flags)) {
+                flagsByDate[date] = flagsByDate[date] || {};
+                flagsByDate[date][c] = flag;
+            }
+        }
+
+        return flagsByDate;
+    };
+
+    /**
+     * Display the result of an import in the import report box
+     *
+     * @param {string} filename - name of the imported file
+     * @param {number} imported - number of date/compound selections imported
+     * @param {string[]} problems - descriptions of entries that could not be imported
+     * @param {string[]} [reflagged=[]] - descriptions of entries imported with the active flag instead of their own
+     */
+    reportImport(filename, imported, problems, reflagged=[]) {
+        const lines = [`Imported ${imported} selection(s) from ${filename}`];
+
+        if (reflagged.length) {
+            lines.push(`Imported ${reflagged.length} entry(s) with the active flag instead of their own:`,
+                ...reflagged);
+        }
+
+        if (problems.length) {
+            lines.push(`Skipped ${problems.length} entry(s):`, ...problems);
+        }
+
+        const texts = d3.select(this.CSS.importReportID).selectAll('p').data(lines);
+
+        texts.exit().remove();
+        texts.text(d => d);
+        texts.enter().append('p').text(d => d);
+    };
+
+    /**
+     * Clear the plot of a compound of any selections, and remove selections from UI and data
+     *
+     * @param {string} compound - compound that should have it's plot and selections cleared/reset
+     */
+    cleanPlot(compound) {
+        this.beginCommand();
+        this.selections.clearCompound(compound);
+        this.endCommand();
+        this.render(compound);
+    };
+
+    /**
+     * Completely refresh data in UI, removing any selections and re-initializing variables; re-render
+     */
+    totalRefresh() {
+        // record removal of every selection so the refresh can be undone
+        this.beginCommand();
+        this.selections.clear();
+        this.endCommand();
+
+        this.initVars();
+
+        this.elements.selector.value = this.compounds[0];
+        this.elements.selector.dispatchEvent(new Event('change'));
+        // change value and manually issue event change to trigger
+    };
+
+    /**
+     * Replacer to allow maps to be JSON.stringify'd
+     *
+     * @param key
+     * @param value
+     * @returns
+     */
+    mapReplacer = (key, value) => {
+        if(value instanceof Map || value instanceof Set) {
+            return [...value]
+        }
+        return value
+    };
+
+    /**
+     * Utility function for replacing all occurences of a string based on a regex search.
+     *
+     * @param str
+     * @param search
+     * @param replacement
+     * @returns {String|*|string|void}
+     */
+    regexReplace = (str, search, replacement) => str.replace(new RegExp(search, 'g'), replacement);
+}
+
+/**
+ * Download content as a file
+ *
+ * @param {string} content - file contents
+ * @param {string} filename - name to save the file as
+ * @param {string} [contentType='text/plain'] - MIME type of the file
+ */
+function downloadFile(content, filename, contentType='text/plain') {
+    let file = new Blob([content], {type: contentType});  // blob to create file contents
+    let a = document.createElement('a');
+    // create anchor then assign temporary URL and download immediately
+    a.href = URL.createObjectURL(file);
+    a.download = filename;
+    a.click();
+    // remove from browser since it's temporary, once the download has had time to start
+    setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+}
+
+/**
+ * Download several files one after another
+ *
+ * Browsers drop (or ask about) downloads started together, so each is started a short delay after the last.
+ *
+ * @param {Array} files - arrays of [content, filename, contentType], as taken by downloadFile()
+ * @param {number} [delay=500] - milliseconds between downloads
+ * @returns {Promise} - promise resolving once every download has been started
+ */
+function downloadFiles(files, delay=500) {
+    return files.reduce((previous, file, i) => previous.then(() => new Promise(resolve => {
+        setTimeout(() => {
+            downloadFile(...file);
+            resolve();
+        }, i === 0 ? 0 : delay);
+    })), Promise.resolve());
+}
+
+function reverseKeyLookup(obj, value) {
+    return Object.keys(obj).find(k=>obj[k]===value)
+}
+
+/**
+ * Source of the records for one compound.
+ *
+ * Created from any of:
+ *  - a filename or URL, eg 'data/ethane.csv'; the type is taken from the extension, and is JSON if not recognized
+ *  - a function that returns an array of records, or a promise resolving to one
+ *  - an object of {url, type, fields} or {load, fields}, where type is 'json', 'csv', 'tsv' or 'ndjson', load is
+ *    a function as above, and fields maps the names date, value and id to the columns of the source that hold them,
+ *    eg {date: 'sample_time', value: 'mixing_ratio', id: 'flask'}
+ *
+ * CSV and TSV values are typed with d3.autoType, so numbers and booleans are parsed; dates are left as written, to be
+ * read in the data's time zone by DataSelector.convertDates(). A copy of each record as the source gave it is kept, so
+ * cleaned data can be written back in the same form; see original().
+ */
+class DataSource {
+    constructor(spec) {
+        if (typeof spec === 'string') {
+            spec = {url: spec};
+        } else if (typeof spec === 'function') {
+            spec = {load: spec};
+        }
+
+        spec = spec || {};
+
+        this.url = spec.url;
+        this.loader = spec.load;
+        this.type = spec.type || DataSource.inferType(spec.url);
+        this.fields = spec.fields || {};
+        /** WeakMap of loaded record: copy of it before fields were mapped or times converted*/
+        this.originals = new WeakMap();
+    }
+
+    /** Get the type of a source from the extension of its filename or URL*/
+    static inferType(url) {
+        const extension = String(url).split('?')[0].split('.').pop().toLowerCase();
+        return {csv: 'csv', tsv: 'tsv', txt: 'tsv', ndjson: 'ndjson', jsonl: 'ndjson'}[extension] || 'json';
+    }
+
+    /** Describe the source for error messages and export metadata*/
+    describe() {
+        return (this.loader !== undefined) ? 'custom loader' : `${this.url} (${this.type})`;
+    }
+
+    /**
+     * Load, check and map the fields of all records
+     *
+     * @returns {Promise<Array>} - promise resolving to the records; rejects if loading fails or they're malformed
+     */
+    load() {
+        let request;
+
+        if (this.loader !== undefined) {
+            request = Promise.resolve().then(() => this.loader());
+        } else if (this.url === undefined) {
+            request = Promise.reject(new Error('no url or load function given'));
+        } else if (this.type === 'csv') {
+            request = d3.csv(this.url, row => this.parseRow(row));
+        } else if (this.type === 'tsv') {
+            request = d3.tsv(this.url, row => this.parseRow(row));
+        } else if (this.type === 'ndjson') {
+            request = d3.text(this.url).then(DataSource.parseNDJSON);
+        } else if (this.type === 'json') {
+            request = d3.json(this.url);
+        } else {
+            request = Promise.reject(new Error(`unknown type '${this.type}'`));
+        }
+
+        return request.then(records => this.mapFields(this.keepOriginals(this.validate(records))));
+    }
+
+    /**
+     * Type the values of a CSV/TSV row with d3.autoType, but leave dates as they were written, so they're read in the
+     * data's time zone instead of as autoType reads them
+     */
+    parseRow(row) {
+        const record = d3.autoType(Object.assign({}, row));
+
+        for (let column of Object.keys(row)) {
+            if (record[column] instanceof Date) {
+                record[column] = row[column];
+            }
+        }
+
+        return record;
+    }
+
+    /** Keep a copy of each record, before anything is added to or changed in it*/
+    keepOriginals(records) {
+        records.forEach(d => {
+            if (!this.originals.has(d)) {
+                this.originals.set(d, Object.assign({}, d));
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * Get a loaded record as the source gave it, without mapped fields and with times in their original format
+     *
+     * @param {object} record - record as returned by load()
+     * @returns {object}
+     */
+    original(record) {
+        return this.originals.get(record) || record;
+    }
+
+    /** Parse newline-delimited JSON, skipping blank lines*/
+    static parseNDJSON(text) {
+        return text.split('\n').map((line, i) => {
+            try {
+                return line.trim() ? JSON.parse(line) : undefined;
+            } catch (e) {
+                throw new Error(`line ${i + 1}: ${e.message}`);
+            }
+        }).filter(d => d !== undefined);
+    }
+
+    /** Throw if records aren't an array of objects with all mapped fields*/
+    validate(records) {
+        if (!Array.isArray(records)) {
+            throw new Error('expected an array of records');
+        }
+
+        records.forEach((d, i) => {
+            if (d === null || typeof d !== 'object') {
+                throw new Error(`record ${i} is not an object`);
+            }
+
+            for (let column of Object.values(this.fields)) {
+                if (!(column in d)) {
+                    throw new Error(`record ${i} has no '${column}' field`);
+                }
+            }
+        });
+
+        return records;
+    }
+
+    /** Copy mapped columns to the field names the plot uses, eg d.date = d[fields.date]*/
+    mapFields(records) {
+        const fields = Object.entries(this.fields);
+
+        if (fields.length) {
+            records.forEach(d => fields.forEach(([field, column]) => d[field] = d[column]));
+        }
+
+        return records;
+    }
+}
+
+/**
+ * Summary statistics of arrays of numbers, matching those of d3 but without it, so the outlier and overlay methods can
+ * be used in Node
+ */
+const statistics = {
+    mean: values => values.reduce((sum, v) => sum + v, 0) / values.length,
+    /** Sample standard deviation, as d3.deviation; undefined for fewer than two values*/
+    deviation: values => {
+        if (values.length < 2) {
+            return undefined;
+        }
+
+        const mean = statistics.mean(values);
+        return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+    },
+    /** Quantile of values already sorted in ascending order, interpolated as d3.quantile (R-7)*/
+    quantile: (sorted, p) => {
+        const i = (sorted.length - 1) * p;
+        const i0 = Math.floor(i);
+        return (i0 + 1 < sorted.length) ? sorted[i0] + (sorted[i0 + 1] - sorted[i0]) * (i - i0) : sorted[i0];
+    },
+    median: values => statistics.quantile(values.slice().sort((a, b) => a - b), .5)
+};
+
+/**
+ * Methods for detecting outliers within a window of neighboring values.
+ *
+ * Each test is given the y value of a point, and the y values of all points in the window around it (excluding the
+ * point itself), and returns true if the point is an outlier at the given threshold.
+ */
+const outlierMethods = {
+    mad: {
+        label: 'Rolling median ± N·MAD',
+        test: (y, values, threshold) => {
+            const median = statistics.median(values);
+            // scale MAD to be comparable to a standard deviation for normal data
+            const mad = statistics.median(values.map(v => Math.abs(v - median))) * 1.4826;
+            return mad > 0 && Math.abs(y - median) > threshold * mad;
+        }
+    },
+    sigma: {
+        label: 'Rolling mean ± Nσ',
+        test: (y, values, threshold) => {
+            const sd = statistics.deviation(values);
+            return sd > 0 && Math.abs(y - statistics.mean(values)) > threshold * sd;
+        }
+    },
+    iqr: {
+        label: 'IQR fences (Q1/Q3 ± N·IQR)',
+        test: (y, values, threshold) => {
+            values = values.slice().sort((a, b) => a - b);
+            const q1 = statistics.quantile(values, .25);
+            const q3 = statistics.quantile(values, .75);
+            const iqr = q3 - q1;
+            return y < q1 - threshold * iqr || y > q3 + threshold * iqr;
+        }
+    }
+};
+
+/**
+ * Find outliers in data by comparing each point to those within a centered window of x around it.
+ *
+ * @param {Array} data - data instances to check
+ * @param xAttr - callback to get the x value (a Date or number) of a data instance
+ * @param yAttr - callback to get the y value of a data instance
+ * @param {string} method - key of the method to use in outlierMethods
+ * @param {number} windowWidth - full width of the window in x units (milliseconds for dates)
+ * @param {number} threshold - N for the method; larger is less sensitive
+ * @param {number} [minPoints=5] - points with fewer neighbors than this in their window are never outliers
+ * @returns {Array} - data instances found to be outliers, sorted by x
+ */
+function detectOutliers(data, xAttr, yAttr, method, windowWidth, threshold, minPoints=5) {
+    const test = outlierMethods[method].test;
+    const outliers = [];
+
+    eachWindow(data, xAttr, yAttr, windowWidth, (d, window) => {
+        const values = window.filter(n => n !== d).map(yAttr);
+
+        if (values.length >= minPoints && test(yAttr(d), values, threshold)) {
+            outliers.push(d);
+        }
+    });
+
+    return outliers;
+}
+
+/**
+ * Call back with each data instance that has a y value, in order of x, and all such instances in a centered window
+ * around it (including itself)
+ *
+ * @param {Array} data - data instances to visit
+ * @param xAttr - callback to get the x value (a Date or number) of a data instance
+ * @param yAttr - callback to get the y value of a data instance
+ * @param {number} windowWidth - full width of the window in x units (milliseconds for dates)
+ * @param {Function} callback - called with each data instance and an array of the instances in its window
+ */
+function eachWindow(data, xAttr, yAttr, windowWidth, callback) {
+    const points = data.filter(d => yAttr(d) != null && !isNaN(yAttr(d)))
+        .sort((a, b) => xAttr(a) - xAttr(b));
+    let start = 0, end = 0;
+
+    points.forEach(d => {
+        const x = xAttr(d).valueOf();
+
+        // slide both edges of the window forward; points are sorted, so neither ever moves back
+        while (xAttr(points[start]).valueOf() < x - windowWidth / 2) {
+            start++;
+        }
+        while (end < points.length && xAttr(points[end]).valueOf() <= x + windowWidth / 2) {
+            end++;
+        }
+
+        callback(d, points.slice(start, end));
+    });
+}
+
+/**
+ * Rolling summaries that can be drawn over the plot as reference lines.
+ *
+ * Each is given the y values of all points in the window around a point (including the point itself).
+ */
+const overlayLines = {
+    mean: {label: 'Rolling mean', center: values => statistics.mean(values)},
+    median: {label: 'Rolling median', center: values => statistics.median(values)}
+};
+
+/**
+ * Bands of spread that can be drawn over the plot around a rolling center, N spreads wide on either side.
+ *
+ * As for outlierMethods, MAD is scaled to be comparable to a standard deviation.
+ */
+const overlayBands = {
+    sigma: {
+        label: 'Rolling mean ± Nσ',
+        center: values => statistics.mean(values),
+        spread: values => statistics.deviation(values)
+    },
+    mad: {
+        label: 'Rolling median ± N·MAD',
+        center: values => statistics.median(values),
+        spread: values => {
+            const median = statistics.median(values);
+            return statistics.median(values.map(v => Math.abs(v - median))) * 1.4826;
+        }
+    }
+};
+
+/**
+ * Summarize the y values in a centered window around each data instance, eg for a rolling mean line
+ *
+ * @param {Array} data - data instances to summarize
+ * @param xAttr - callback to get the x value (a Date or number) of a data instance
+ * @param yAttr - callback to get the y value of a data instance
+ * @param {number} windowWidth - full width of the window in x units (milliseconds for dates)
+ * @param {Function} summarize - called with the y values of each window, returning its summary
+ * @param {number} [minPoints=5] - instances with fewer points than this in their window are left out
+ * @returns {Array} - objects of {x, value} for each instance with enough points in its window, sorted by x
+ */
+function rollingSummary(data, xAttr, yAttr, windowWidth, summarize, minPoints=5) {
+    const summary = [];
+
+    eachWindow(data, xAttr, yAttr, windowWidth, (d, window) => {
+        if (window.length >= minPoints) {
+            summary.push({x: xAttr(d), value: summarize(window.map(yAttr))});
+        }
+    });
+
+    return summary;
+}
+
+/** Milliseconds in a mean calendar year, the period of a seasonal fit*/
+const yearMs = 365.2425 * 24 * 60 * 60 * 1000;
+
+/**
+ * Fit a linear trend plus annual harmonics to data by least squares, for a smooth seasonal cycle
+ *
+ * @param {Array} data - data instances to fit
+ * @param xAttr - callback to get the x value (a Date) of a data instance
+ * @param yAttr - callback to get the y value of a data instance
+ * @param {number} [harmonics=2] - number of annual harmonics; 1 fits a plain sine wave around the trend
+ * @returns {Function|null} - function giving the fitted value at a Date, or null if the data can't be fit
+ */
+function seasonalFit(data, xAttr, yAttr, harmonics=2) {
+    const points = data.filter(d => yAttr(d) != null && !isNaN(yAttr(d)) && xAttr(d) != null);
+    const size = 2 + 2 * harmonics;
+
+    if (points.length <= size) {
+        return null;
+    }
+
+    const origin = statistics.mean(points.map(d => xAttr(d).valueOf()));  // center time to keep the equations well-conditioned
+
+    const terms = x => {
+        const t = (x.valueOf() - origin) / yearMs;
+        const row = [1, t];
+
+        for (let k = 1; k <= harmonics; k++) {
+            row.push(Math.sin(2 * Math.PI * k * t), Math.cos(2 * Math.PI * k * t));
+        }
+
+        return row;
+    };
+
+    // build the normal equations (AᵀA)c = Aᵀy, then solve them for the coefficients
+    const ata = Array.from({length: size}, () => new Array(size).fill(0));
+    const aty = new Array(size).fill(0);
+
+    for (let d of points) {
+        const row = terms(xAttr(d));
+        const y = yAttr(d);
+
+        for (let i = 0; i < size; i++) {
+            aty[i] += row[i] * y;
+
+            for (let j = 0; j < size; j++) {
+                ata[i][j] += row[i] * row[j];
+            }
+        }
+    }
+
+    const coefficients = solveLinear(ata, aty);
+
+    if (coefficients === null) {
+        return null;
+    }
+
+    return x => terms(x).reduce((sum, term, i) => sum + term * coefficients[i], 0);
+}
+
+/**
+ * Solve a square system of linear equations by Gaussian elimination with partial pivoting
+ *
+ * @param {number[][]} a - matrix of coefficients; modified in place
+ * @param {number[]} b - right-hand side; modified in place
+ * @returns {number[]|null} - the solution, or null if the matrix is singular
+ */
+function solveLinear(a, b) {
+    const n = b.length;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                pivot = row;
+            }
+        }
+
+        if (Math.abs(a[pivot][col]) < 1e-12) {
+            return null;
+        }
+
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+
+            for (let k = col; k < n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const solution = new Array(n).fill(0);
+
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * solution[k];
+        }
+        solution[row] = sum / a[row][row];
+    }
+
+    return solution;
+}
+
+/** Ways of showing selected points while previewing the cleaned series, or 'off' to show them as usual*/
+const previewModes = ['off', 'hide', 'grey'];
+
+/** Types an x or y option can be plotted as*/
+const axisTypes = ['time', 'linear', 'log', 'categorical'];
+
+/**
+ * Split x or y options into their callbacks and axis types
+ *
+ * @param {object} options - object of optionName: callback, or optionName: {value: callback, type}
+ * @param {string} defaultType - type of options given only as a callback
+ * @returns {[object, object]} - objects of optionName: callback and optionName: type
+ */
+function splitAxisOptions(options, defaultType) {
+    const callbacks = {};
+    const types = {};
+
+    for (let [name, option] of Object.entries(options)) {
+        if (typeof option === 'function') {
+            callbacks[name] = option;
+            types[name] = defaultType;
+        } else if (axisTypes.includes(option.type)) {
+            callbacks[name] = option.value;
+            types[name] = option.type;
+        } else {
+            throw new Error(`Axis option '${name}' has type '${option.type}'; expected one of ${axisTypes.join(', ')}`);
+        }
+    }
+
+    return [callbacks, types];
+}
+
+/** Names of the DataSelector constructor's options, in the order they're given positionally*/
+const positionalOptions = ['compounds', 'dataXDefault', 'xOptions', 'dataYDefault', 'yOptions', 'CTimeFormat',
+    'UTCoffset', 'width', 'height', 'xZoomLimit', 'yAxisRound', 'CSS', 'margins', 'DOMelements', 'DOMButtons',
+    'toolTipText', 'flagCategories', 'dataSources', 'canvasThreshold', 'dataTimeZone', 'displayTimeZone',
+    'selections', 'recordId'];
+
+/** Defaults for the options of DataSelector that can be left out; see its constructor*/
+const dataSelectorDefaults = {
+    dataXDefault: null,
+    dataYDefault: null,
+    CTimeFormat: '%Y-%m-%d %H:%M',
+    UTCoffset: 0,
+    width: 800,
+    height: 450,
+    xZoomLimit: 0,
+    yAxisRound: 1,
+    CSS: {
+        toolTipClass: 'tooltip',
+        dataPointClass: 'data-point',
+        selectedOutlierClass: 'selectedOutlier',
+        selectedElsewhereClass: 'selectedElsewhere',
+        suggestedOutlierClass: 'suggestedOutlier',
+        reviewOutlierClass: 'reviewOutlier',
+        axisLinesClass: 'axisLines',
+        axisTextClass: 'axisText',
+        overlayLineClass: 'overlayLine',
+        overlayBandClass: 'overlayBand',
+        overlayFitClass: 'overlayFit',
+        previewGreyClass: 'previewGrey',
+        multiplesHoverClass: 'multiplesHover',
+        multiplesHighlightClass: 'multiplesHighlight',
+        multiplesBrushClass: 'multiplesBrush'
+    },
+    margins: {top: 10, bottom: 75, right: 20, left: 60},
+    toolTipText: (plot, d) =>
+        `<strong>${plot.formatISODate(d.date, null, plot.displayTimeZone)}</strong><br>${plot.dataYDefault(d)}`,
+    flagCategories: {selected: {label: 'Selected', color: '#949494'}},
+    dataSources: null,
+    canvasThreshold: 10000,
+    dataTimeZone: null,
+    displayTimeZone: 'UTC',
+    selections: null,
+    recordId: null
+};
+
+/** Number of DataSelectors created on the page*/
+let dataSelectorCount = 0;
+
+/** The DataSelector keyboard shortcuts apply to*/
+let activeDataSelector = null;
+
+/** DataSelectors with a selection command in progress, innermost last; see beginCommand()*/
+const commandingDataSelectors = [];
+
+/** Keys of DOMelements, DOMButtons and the ids in CSS that must be given, since the UI can't work without them*/
+const requiredConfiguration = {
+    DOMelements: ['selector', 'ySelector', 'xSelector', 'header', 'xMin', 'xMax', 'yMin', 'yMax'],
+    DOMButtons: ['saveSelect', 'downloadJSON', 'clearPlot', 'clearAll', 'resetAxes', 'undoZoom'],
+    CSS: ['canvasID', 'selectedTextBoxID', 'jsonTextBoxID', 'jsonListID']
+};
+
+/**
+ * Keys of DOMelements, DOMButtons and the ids in CSS that can be left out; the features using them are set up only if
+ * they're given, and those given are checked like the required ones
+ */
+const optionalConfiguration = {
+    DOMelements: ['importFile', 'flagSelector', 'dragMode', 'scatterTarget', 'linkSelections', 'wholeSample',
+        'exportDialog', 'exportFormat', 'exportFlags', 'exportMetadata', 'cleanScope', 'cleanMode', 'cleanFormat',
+        'outlierMethod', 'outlierWindow', 'outlierThreshold', 'overlayLine', 'overlayBand', 'overlayWindow',
+        'overlayWidth', 'overlayFit', 'previewMode'],
+    DOMButtons: ['confirmExport', 'exportCleaned', 'importJSON', 'reloadData', 'suggestOutliers',
+        'acceptAllSuggestions', 'acceptZoomSuggestions', 'acceptSuggestion', 'rejectSuggestion', 'clearSuggestions',
+        'toggleMultiples', 'undoSelect', 'redoSelect', 'discardSession'],
+    CSS: ['importReportID', 'errorBoxID', 'loadProgressID', 'suggestionStatusID', 'smallMultiplesID', 'previewSummaryID']
+};
+
+/**
+ * Check the options of a DataSelector, after defaults are filled in
+ *
+ * @param {object} options - see the DataSelector constructor
+ * @returns {string[]} - a description of every problem found; empty if there are none
+ */
+function checkOptions(options) {
+    const problems = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const {compounds, xOptions, yOptions, DOMelements, DOMButtons, CSS, dataSources, flagCategories} = options;
+
+    if (!Array.isArray(compounds) || !compounds.length || compounds.some(c => typeof c !== 'string')) {
+        problems.push('compounds must be a non-empty array of compound names');
+    }
+
+    for (let [name, axisOptions, defaultName] of [['xOptions', xOptions, 'dataXDefault'],
+                                                 ['yOptions', yOptions, 'dataYDefault']]) {
+        if (!isObject(axisOptions) || !Object.keys(axisOptions).length) {
+            problems.push(`${name} must be an object of at least one optionName: callback`);
+            continue;
+        }
+
+        for (let [optionName, option] of Object.entries(axisOptions)) {
+            const callback = (isObject(option)) ? option.value : option;
+
+            if (typeof callback !== 'function') {
+                problems.push(`${name}['${optionName}'] must be a callback, or {value: callback, type}`);
+            } else if (isObject(option) && !axisTypes.includes(option.type)) {
+                problems.push(`${name}['${optionName}'] has type '${option.type}'; `
+                    + `expected one of ${axisTypes.join(', ')}`);
+            }
+        }
+
+        const option = options[defaultName];
+
+        if (option !== null && (typeof option === 'string' ? !(option in axisOptions)
+            : !Object.values(axisOptions).includes(option))) {
+            problems.push(`${defaultName} must be the name of one of ${name}, or one of its values`);
+        }
+    }
+
+    for (let group of ['DOMelements', 'DOMButtons']) {
+        const given = options[group];
+
+        if (!isObject(given)) {
+            problems.push(`${group} must be an object of name: element`);
+            continue;
+        }
+
+        const keys = requiredConfiguration[group].concat(optionalConfiguration[group].filter(key => key in given));
+
+        for (let key of keys) {
+            if (!given[key] || typeof given[key].addEventListener !== 'function') {
+                problems.push(`${group}.${key} is ${given[key] === null ? 'null (no element has that id?)' : 'missing'}`);
+            }
+        }
+    }
+
+    for (let key of requiredConfiguration.CSS.concat(optionalConfiguration.CSS.filter(key => key in CSS))) {
+        if (typeof CSS[key] !== 'string') {
+            problems.push(`CSS.${key} must be given as a selector, eg '#${key.replace(/ID$/, '')}'`);
+        } else if (d3.select(CSS[key]).empty()) {
+            problems.push(`CSS.${key} is '${CSS[key]}', but no element matches it`);
+        }
+    }
+
+    if (!isObject(dataSources)) {
+        problems.push('dataSources must be given as an object of compound: source');
+    } else if (Array.isArray(compounds)) {
+        for (let c of compounds) {
+            const source = dataSources[c];
+
+            if (source === undefined || source === null) {
+                problems.push(`dataSources has no source for '${c}'`);
+            } else if (!(source instanceof DataSource) && typeof source !== 'string' && typeof source !== 'function'
+                && !(isObject(source) && (typeof source.url === 'string' || typeof source.load === 'function'))) {
+                problems.push(`dataSources['${c}'] must be a url, a load function, or an object with a url or load`);
+            }
+        }
+    }
+
+    if (!isObject(flagCategories) || !Object.keys(flagCategories).length) {
+        problems.push('flagCategories must be an object of at least one name: {label, color}');
+    }
+
+    for (let name of ['width', 'height', 'xZoomLimit', 'yAxisRound', 'canvasThreshold', 'UTCoffset']) {
+        if (typeof options[name] !== 'number' || Number.isNaN(options[name])) {
+            problems.push(`${name} must be a number`);
+        }
+    }
+
+    if (options.selections !== null && !(options.selections instanceof SelectionStore)) {
+        problems.push('selections must be a SelectionStore, or null for the plot to keep its own');
+    }
+
+    if (options.recordId !== null && !['string', 'function'].includes(typeof options.recordId)) {
+        problems.push('recordId must be the name of a field, a function of a record, or null to use the sample date');
+    }
+
+    if (typeof options.toolTipText !== 'function') {
+        problems.push('toolTipText must be a function of (plot, d)');
+    }
+
+    for (let name of ['dataTimeZone', 'displayTimeZone']) {
+        if (name === 'dataTimeZone' && options[name] === null) {
+            continue;
+        }
+
+        try {
+            checkTimeZone(options[name]);
+        } catch (e) {
+            problems.push(`${name}: ${e.message}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Show configuration problems in the error box, or in a box added to the top of the page if it can't be found
+ *
+ * @param {string[]} problems - see checkOptions()
+ * @param {string} errorBoxID - selector of the error box
+ */
+function showConfigurationProblems(problems, errorBoxID) {
+    let box = (typeof errorBoxID === 'string') ? d3.select(errorBoxID) : d3.select(null);
+
+    if (box.empty()) {
+        box = d3.select('body').insert('div', ':first-child')
+            .attr('class', 'alert alert-danger m-2')
+            .attr('role', 'alert');
+    }
+
+    box.attr('hidden', null);
+    box.append('p').append('strong').text('DataSelector could not start because of its configuration:');
+    box.append('ul').selectAll('li').data(problems).enter()
+        .append('li').text(d => d);
+}
+
+/** Object of IANA time zone name: Intl formatter of wall-clock times in it, since they're slow to create*/
+const zoneFormatters = {};
+
+/**
+ * Check that a time zone is a known IANA name
+ *
+ * @param {string} timeZone
+ * @returns {string} - the time zone
+ */
+function checkTimeZone(timeZone) {
+    try {
+        wallTime(0, timeZone);
+    } catch (e) {
+        throw new Error(`Unknown time zone '${timeZone}'; expected an IANA name like 'UTC' or 'America/Denver'`);
+    }
+
+    return timeZone;
+}
+
+/**
+ * Get the wall-clock time in a time zone at an instant
+ *
+ * @param {Date|number} date - the instant, as a Date or milliseconds since the epoch
+ * @param {string} timeZone - IANA name of the time zone
+ * @returns {number} - the wall-clock time as milliseconds since the epoch, as if it were in UTC
+ */
+function wallTime(date, timeZone) {
+    if (!(timeZone in zoneFormatters)) {
+        zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+    }
+
+    const parts = {};
+    for (let {type, value} of zoneFormatters[timeZone].formatToParts(date)) {
+        parts[type] = +value;
+    }
+
+    const ms = ((date.valueOf() % 1000) + 1000) % 1000;  // the formatter drops milliseconds
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) + ms;
+}
+
+/**
+ * Get the instant a wall-clock time in a time zone refers to
+ *
+ * @param {number} wall - the wall-clock time as milliseconds since the epoch, as if it were in UTC
+ * @param {string} timeZone - IANA name of the time zone
+ * @returns {Date}
+ */
+function zonedToUTC(wall, timeZone) {
+    // the offset at the wall-clock time read as UTC is only wrong close to a change in offset, so correct it once
+    const guess = wall - (wallTime(wall, timeZone) - wall);
+    return new Date(wall - (wallTime(guess, timeZone) - guess));
+}
+
+/**
+ * Read a time from the data as an instant
+ *
+ * Numbers (and Dates, from custom loaders) are epoch times, in seconds for numbers. Strings with their own offset
+ * (ending in Z or eg +02:00) are exact; other strings, like '2019-03-19 02:20', are read as UTC. Times other than
+ * exact strings are then taken as wall-clock times in timeZone, or corrected by UTCoffset if it's null; they're never
+ * read in the browser's time zone, so the same data gives the same keys on every machine. Missing times give an
+ * invalid Date.
+ *
+ * @param {number|string|Date} time - time as given by the data
+ * @param {number} UTCoffset - offset of the data from UTC in hours, used if timeZone is null
+ * @param {string|null} timeZone - IANA name of the time zone the data is given in, or null
+ * @returns {Date}
+ */
+function parseTime(time, UTCoffset, timeZone) {
+    const offset = 60 * 60 * UTCoffset * 1000;  // hours to ms
+
+    let wall;
+
+    if (time === null || time === undefined || time === '') {
+        return new Date(NaN);  // a missing time, eg an empty cell or a time option that isn't in this source
+    } else if (typeof time === 'number') {
+        wall = time * 1000;
+    } else if (time instanceof Date) {
+        wall = time.getTime();
+    } else if (/(Z|[+-]\d\d:?\d\d)$/i.test(String(time).trim())) {
+        return new Date(String(time).trim());  // strings with their own offset are already exact
+    } else {
+        // date-only strings are parsed as UTC, but datetimes without a zone need one to not be read as local
+        time = String(time).trim().replace(' ', 'T');
+        wall = Date.parse(time.length > 10 ? time + 'Z' : time);
+    }
+
+    return (timeZone === null) ? new Date(wall + offset) : zonedToUTC(wall, timeZone);
+}
+
+/**
+ * Selections of every compound, kept without the DOM or d3 so they can be used and tested in Node.
+ *
+ * A selection is a key (see formatKey()) selected in a compound with a flag category. Selections are kept both by
+ * compound and by key, so either can be looked up directly.
+ */
+class SelectionStore {
+    /**
+     * @param {string[]} [compounds=[]] - compounds that can have selections
+     * @param {Function|null} [onChange=null] - called with (compound, key, flagBefore, flagAfter) after every change,
+     *     where an undefined flag means the key isn't selected; more can be added with subscribe()
+     */
+    constructor(compounds=[], onChange=null) {
+        /** Map of compound: <Map> of key: flag category*/
+        this.byCompound = new Map();
+        /** Map of key: <Set> of compounds it's selected in*/
+        this.byKey = new Map();
+        /** Functions called after every change*/
+        this.listeners = (onChange === null) ? [] : [onChange];
+
+        compounds.forEach(c => this.addCompound(c));
+    }
+
+    /**
+     * Format the key of a sample from its date, as an ISO date and time in UTC without seconds or the zone
+     *
+     * @param {Date} date - date of the sample
+     * @param salt - string or stringable information to include after date, if any
+     * @returns {string} - eg '2019-03-19 02:20', or '2019-03-19 02:20 3625-99' with a salt
+     */
+    static formatKey(date, salt=null) {
+        const key = date.toISOString().replace('T', ' ').slice(0, -8);
+        return salt ? `${key} ${salt}` : key;
+    }
+
+    /**
+     * Call a function after every change, like the constructor's onChange
+     *
+     * @param {Function} listener - called with (compound, key, flagBefore, flagAfter)
+     * @returns {Function} - function that stops calling the listener
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => this.listeners = this.listeners.filter(l => l !== listener);
+    }
+
+    /** Allow a compound to have selections; does nothing if it already can*/
+    addCompound(compound) {
+        if (!this.byCompound.has(compound)) {
+            this.byCompound.set(compound, new Map());
+        }
+    }
+
+    /** Get the compounds that can have selections*/
+    compounds() {
+        return [...this.byCompound.keys()];
+    }
+
+    hasCompound(compound) {
+        return this.byCompound.has(compound);
+    }
+
+    /** Check if a key is selected in a compound*/
+    has(compound, key) {
+        return this.hasCompound(compound) && this.byCompound.get(compound).has(key);
+    }
+
+    /** Get the flag category of a selection, or undefined if the key isn't selected in the compound*/
+    getFlag(compound, key) {
+        return this.hasCompound(compound) ? this.byCompound.get(compound).get(key) : undefined;
+    }
 
-            this.render(compound);
-            this.previousCompound = compound;
-        });
+    /** Get the keys selected in a compound, in the order they were selected*/
+    keys(compound) {
+        return this.hasCompound(compound) ? [...this.byCompound.get(compound).keys()] : [];
+    }
 
-        this.elements.ySelector.addEventListener('change', (e) => {
-            this.dataYDefault = this.yOptions[e.target.value];
-            this.render(this.previousCompound);  // TODO: probably better to pass Y into render than set at class level
-        });
+    /** Get the number of keys selected in a compound*/
+    size(compound) {
+        return this.hasCompound(compound) ? this.byCompound.get(compound).size : 0;
+    }
 
-        this.elements.xSelector.addEventListener('change', (e) => {
-            this.dataXDefault = this.xOptions[e.target.value];
-            this.render(this.previousCompound);  // TODO: probably better to pass Y into render than set at class level
-        });
+    /** Get the compounds a key is selected in*/
+    compoundsOf(key) {
+        return this.byKey.has(key) ? [...this.byKey.get(key)] : [];
+    }
 
-        for (let input of [this.elements.xMin, this.elements.xMax,
-                            this.elements.yMin, this.elements.yMax]) {
-            input.addEventListener('change', () => {
-                this.updateAxes(this.elements.xMin.value, this.elements.xMax.value,
-                    this.elements.yMin.value, this.elements.yMax.value)
-            });
+    /**
+     * Select a key in a compound, or re-flag it if it's already selected
+     *
+     * @param {string} compound - compound to select the key in; must have been added
+     * @param {string} key - key of the sample, see formatKey()
+     * @param {string} [flag='selected'] - flag category to give the selection
+     * @returns {boolean} - true if anything changed
+     */
+    add(compound, key, flag='selected') {
+        if (!this.hasCompound(compound)) {
+            throw new Error(`Unknown compound '${compound}'`);
+        }
 
-            // loop works because no this/event is used, so closures and targetting are a non-issue
+        const before = this.getFlag(compound, key);
+
+        if (before === flag) {
+            return false;
         }
 
-        this.buttons.saveSelect.addEventListener('click',
-            () => this.commitSelections(this.elements.selector.value));
-        this.buttons.downloadJSON.addEventListener('click', this.getJSONfile.bind(this));
-        this.buttons.clearPlot.addEventListener('click',
-            () => this.cleanPlot(this.elements.selector.value));
-        this.buttons.clearAll.addEventListener('click', this.totalRefresh.bind(this));
-        this.buttons.resetAxes.addEventListener('click', () => this.updateAxes());
-        this.buttons.undoZoom.addEventListener('click', () => {
-            let xName = reverseKeyLookup(this.xOptions, this.dataXDefault);
-            let yName = reverseKeyLookup(this.yOptions, this.dataYDefault);
+        this.byCompound.get(compound).set(key, flag);
 
-            // pop the current limits off the stack and re-call updateAxes and re-render with no params;
-            //  it will find the next-most-recent zoom on the stack (or default)
-            this.zoomHistory.get(this.previousCompound).get(this.joinXYStrings(xName, yName)).pop();
-            this.updateAxes();
-        });
-    };
+        if (!this.byKey.has(key)) {
+            this.byKey.set(key, new Set());
+        }
+
+        this.byKey.get(key).add(compound);
+        this.changed(compound, key, before, flag);
+        return true;
+    }
 
     /**
-     * Initialize variables or rest on a button-press
+     * De-select a key in a compound
+     *
+     * @param {string} compound
+     * @param {string} key
+     * @returns {boolean} - true if it was selected
      */
-    initVars() {
-        for (let opt in this.elements.selector.options) {
-            this.elements.selector.options.remove(0)
-        }  // clear any options before re-populating on refresh or reset of all plots
-
-        for (let c of this.compounds) {
-            let option = document.createElement('option');
-            option.value = c;
-            option.textContent = c;
-            this.elements.selector.appendChild(option);
+    remove(compound, key) {
+        const before = this.getFlag(compound, key);
 
-            this.selectionsByCompound.set(c, new Set());  // init all compounds to the global map
+        if (before === undefined) {
+            return false;
         }
 
-        for (let opt in this.elements.ySelector.options) {
-            this.elements.ySelector.options.remove(0)
-        }  // clear any options before re-populating on refresh or reset of all plots
+        this.byCompound.get(compound).delete(key);
+        this.byKey.get(key).delete(compound);
 
-        for (let opt of Object.keys(this.yOptions)) {
-            let option = document.createElement('option');
-            option.value = opt;
-            option.textContent = opt;
-            this.elements.ySelector.appendChild(option);
+        if (this.byKey.get(key).size === 0) {
+            this.byKey.delete(key);
         }
 
-        for (let opt in this.elements.xSelector.options) {
-            this.elements.xSelector.options.remove(0)
-        }  // clear any options before re-populating on refresh or reset of all plots
+        this.changed(compound, key, before, undefined);
+        return true;
+    }
 
-        for (let opt of Object.keys(this.xOptions)) {
-            let option = document.createElement('option');
-            option.value = opt;
-            option.textContent = opt;
-            this.elements.xSelector.appendChild(option);
-        }
+    /**
+     * De-select a key in a compound if it's selected, otherwise select it
+     *
+     * @param {string} compound
+     * @param {string} key
+     * @param {string} [flag='selected'] - flag category to give the selection, if selecting it
+     * @returns {boolean} - true if it's now selected
+     */
+    toggle(compound, key, flag='selected') {
+        return !this.remove(compound, key) && this.add(compound, key, flag);
+    }
 
-        let xName = reverseKeyLookup(this.yOptions, this.dataYDefault)
-        let yName = reverseKeyLookup(this.xOptions, this.dataXDefault);
-        this.elements.ySelector.value = xName;
-        this.elements.xSelector.value = yName;
+    /**
+     * De-select every key in a compound
+     *
+     * @returns {number} - the number of keys de-selected
+     */
+    clearCompound(compound) {
+        const keys = this.keys(compound);
+        keys.forEach(key => this.remove(compound, key));
+        return keys.length;
+    }
 
-        this.zoomHistory.clear();  // clear in case this is a refresh
+    /**
+     * De-select every key in every compound
+     *
+     * @returns {number} - the number of selections removed
+     */
+    clear() {
+        return this.compounds().reduce((removed, c) => removed + this.clearCompound(c), 0);
+    }
 
-        for (let c of this.compounds) {
-            this.zoomHistory.set(c, new Map());  // create a sub-map for each compound
+    /**
+     * Add the selections of another store to this one; selections in compounds this store doesn't have are skipped
+     *
+     * @param {SelectionStore|object} other - a store, or a store serialized by serialize()
+     * @param {boolean} [overwrite=true] - give keys already selected here the flag they have in the other store
+     * @returns {number} - the number of selections added or re-flagged
+     */
+    merge(other, overwrite=true) {
+        if (!(other instanceof SelectionStore)) {
+            other = SelectionStore.deserialize(other);
+        }
 
-            for (let xOpt of Object.keys(this.xOptions)) {
-                for (let yOpt of Object.keys(this.yOptions)) {
-                    this.zoomHistory.get(c).set(this.joinXYStrings(xOpt, yOpt), []);
-                    // intialize every xy option combo to an empty array
+        let changed = 0;
+
+        for (let c of other.compounds().filter(c => this.hasCompound(c))) {
+            for (let key of other.keys(c)) {
+                if ((overwrite || !this.has(c, key)) && this.add(c, key, other.getFlag(c, key))) {
+                    changed++;
                 }
             }
-
         }
 
-        this.selectionsByDate = new Map();  // these two required for totalRefresh() to work
-        this.selectedDates = new Set();
+        return changed;
+    }
 
-        this.previousCompound = this.compounds[0];  // default to first compound in provided list
+    /**
+     * Create a JSON-friendly copy of all selections
+     *
+     * @returns {object} - {selections: {key: [compounds]}, flags: {compound: {key: flag}}}; every compound is in
+     *     flags, even if it has no selections
+     */
+    serialize() {
+        return {
+            selections: this.byKeyObject(),
+            flags: Object.fromEntries(this.compounds().map(c => [c, Object.fromEntries(this.byCompound.get(c))]))
+        };
+    }
 
-        this.render(this.previousCompound)
-    };
+    /**
+     * Create a store from selections serialized by serialize()
+     *
+     * Keys without a flag are given 'selected'. Restoring them isn't reported to onChange.
+     *
+     * @param {object} data - {selections, flags}
+     * @param {Function|null} [onChange=null] - see the constructor
+     * @returns {SelectionStore}
+     */
+    static deserialize(data, onChange=null) {
+        const flags = data.flags || {};
+        const store = new SelectionStore(Object.keys(flags));
+
+        for (let [key, compounds] of Object.entries(data.selections || {})) {
+            for (let c of compounds) {
+                store.addCompound(c);
+                store.add(c, key, (flags[c] || {})[key] || 'selected');
+            }
+        }
 
-    joinXYStrings(x, y) {
-        return 'x' + x + '_y' + y;
+        if (onChange !== null) {
+            store.subscribe(onChange);
+        }
+
+        return store;
     }
 
     /**
-     * Format a Date object as an ISO string
+     * Create a JSON-friendly object of selections keyed by key
      *
-     * @param date - date to format
-     * @param salt - string or stringable information to include after date
-     * @returns {string} - formatted string of the ISO date and time, removing the timezone
+     * @param {boolean} [flagged=false] - create key: {compound: flag} instead of key: [compounds]
+     * @param {boolean} [sorted=false] - sort by key
+     * @returns {object}
      */
-    formatISODate = (date, salt=null) => {
-        date = date.toISOString();
+    byKeyObject(flagged=false, sorted=false) {
+        let keys = [...this.byKey.keys()];
 
-        if (salt) {
-            return date.replace('T', " ").slice(0, -8) + ' ' + salt;
-        } else {
-            return date.replace('T', " ").slice(0, -8);
+        if (sorted) {
+            keys.sort();
         }
 
-    };
+        return Object.fromEntries(keys.map(key => {
+            const compounds = this.compoundsOf(key);
+            return [key, flagged ? Object.fromEntries(compounds.map(c => [c, this.getFlag(c, key)])) : compounds];
+        }));
+    }
 
     /**
-     * Update text box of selected data, then call update of JSON text box after
+     * Create a JSON-friendly object of selections keyed by compound, with keys sorted; the inverse of byKeyObject().
+     * Compounds without selections are left out.
      *
-     * @param {Set} newTextSet - set containing the new text data to display
+     * @param {boolean} [flagged=false] - create compound: {key: flag} instead of compound: [keys]
+     * @returns {object}
      */
-    updateTextBoxes(newTextSet) {
-        const texts = this.textBox.selectAll("p")
-            .data(d3.set(Array.from(newTextSet).sort()).values());
+    byCompoundObject(flagged=false) {
+        let selections = {};
 
-        const textFunc = (d) => {
-            let ct;
-            // return the 'dateString (countOfCompoundsFilteredForThisDate)' like '2018-3-31 10:02 (3)'
-            let globalEntry = this.selectionsByDate.get(d);
+        for (let c of this.compounds().filter(c => this.size(c) > 0)) {
+            const sorted = this.keys(c).sort();
+            selections[c] = flagged ? Object.fromEntries(sorted.map(key => [key, this.getFlag(c, key)])) : sorted;
+        }
 
-            // if not found in globalByDate yet, these changes haven't been saved...the count is technically 0 still
-            ct = (globalEntry === undefined) ? 0 : globalEntry.size;
+        return selections;
+    }
 
-            return `${d} (${ct})`
-        };
+    /** Report a change to every listener*/
+    changed(compound, key, before, after) {
+        this.listeners.forEach(listener => listener(compound, key, before, after));
+    }
+}
 
-        texts.exit().remove();
-        texts.text(d => textFunc(d));
-        texts.enter().append("p").text(d => textFunc(d));
+/**
+ * Undo and redo stacks of selection commands.
+ *
+ * A command is a list of [compound, key, flagBefore, flagAfter] changes, where an undefined flag means the key was
+ * not selected; changes are only recorded between begin() and end(), so anything outside a command (like restoring
+ * a session) is never recorded.
+ */
+class SelectionHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.depth = 0;
+    }
 
-        this.updateJSONBox();
-    };
+    /** Start a command, or nest within the one in progress*/
+    begin() {
+        if (this.depth === 0) {
+            this.pending = [];
+        }
+        this.depth++;
+    }
 
-    /**
-     * Update the JSON text box using data contained in this.
-     */
-    updateJSONBox() {
-        let compoundsInJSON = new Set();
+    /** Record a change if a command is in progress*/
+    record(compound, key, before, after) {
+        if (this.pending !== null) {
+            this.pending.push([compound, key, before, after]);
+        }
+    }
 
-        this.selectionsByCompound.forEach((value, key) => {
-            if (value.size !== 0) {
-                compoundsInJSON.add(key);
-            }
-        });
+    /** End the command in progress; commands that changed nothing are dropped*/
+    end() {
+        this.depth = Math.max(this.depth - 1, 0);
 
-        // TODO: Sort is left out here for performance.
-        // let content = new Map([...this.selectionsByDate.entries()].sort());
+        if (this.depth === 0 && this.pending !== null) {
+            if (this.pending.length) {
+                this.undoStack.push(this.pending);
+                this.redoStack = [];  // a new command invalidates anything undone
+            }
+            this.pending = null;
+        }
+    }
 
-        let jsonContent = JSON.stringify(Object.fromEntries(this.selectionsByDate), this.mapReplacer, " ");
+    /** Move the latest command to the redo stack and return it*/
+    undo() {
+        const command = this.undoStack.pop();
+        if (command !== undefined) {
+            this.redoStack.push(command);
+        }
+        return command;
+    }
 
-        jsonContent = this.regexReplace(jsonContent, '],', '],\n');
+    /** Move the latest undone command back to the undo stack and return it*/
+    redo() {
+        const command = this.redoStack.pop();
+        if (command !== undefined) {
+            this.undoStack.push(command);
+        }
+        return command;
+    }
 
-        d3.select(this.CSS.jsonTextBoxID).text(jsonContent);
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
 
-        if (compoundsInJSON.size > 0) {
-            d3.select(this.CSS.jsonListID).text(`Contains: {${[...compoundsInJSON].join(', ')}}`);
-        } else {
-            d3.select(this.CSS.jsonListID).text('');
-        }
-    };
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
 
+/**
+ * Stacked plots of every compound of a DataSelector on a shared time axis, linked to the DataSelector's selections.
+ *
+ * Shift + drag in any panel zooms every panel to that time range, and double-clicking zooms them all back out.
+ * Hovering a sample highlights its date in every panel. Dragging selects the points within the box for that panel's
+ * compound, or for the same samples in every compound if linkAll is set; hold alt to de-select them instead.
+ */
+class SmallMultiples {
     /**
-     * Commit temporary selections to variables (not just selectionsByCompound), and call update of text boxes
-     *
-     * @param {string} compound - compound to commit selections of; usually the active compound
+     * @param {DataSelector} plot - the DataSelector whose data and selections are shown
+     * @param {string} container - selector of the element to draw the panels in; hidden while not shown
+     * @param {number} [panelHeight=120] - height of each panel, in the same units as the plot's width
      */
-    commitSelections(compound) {
-        let compoundSet = this.selectionsByCompound.get(compound);
+    constructor(plot, container, panelHeight=120) {
+        this.plot = plot;
+        this.container = d3.select(container);
+        this.panelHeight = panelHeight;
+        /** Shared [min, max] of the time axis, or null to show all data*/
+        this.domain = null;
+        /** Apply selections to the same samples in every compound instead of one*/
+        this.linkAll = false;
+        /** One object of compound, data, scales and elements for each panel drawn*/
+        this.panels = [];
+    }
 
-        for (let d of this.selectedDates) {
+    /** Check if the panels are being shown; never, if there's no container for them*/
+    isShown() {
+        return !this.container.empty() && !this.container.node().hidden;
+    }
 
-            let dateSet = this.selectionsByDate.get(d);
+    /** Show and draw the panels, or hide and remove them*/
+    show(visible) {
+        if (this.container.empty()) {
+            return;
+        }
 
-            if (dateSet === undefined) {
-                this.selectionsByDate.set(d, new Set());
-            }
+        this.container.node().hidden = !visible;
 
-            this.selectionsByDate.get(d).add(compound);
-            compoundSet.add(d);
+        if (visible) {
+            this.render();
+        } else {
+            this.container.selectAll('svg').remove();
+            this.panels = [];
         }
+    }
 
-        this.updateTextBoxes(compoundSet);
-    };
+    /** Re-draw the panels if they're shown, eg after the y option or data change*/
+    refresh() {
+        if (this.isShown()) {
+            this.render();
+        }
+    }
 
     /**
-     * Finalize JSON data and allow it to be downloaded by the user
+     * Draw a panel for every compound, using the first time x option and the current y option
+     *
+     * @returns {Promise}
      */
-    getJSONfile() {
-        this.commitSelections(this.elements.selector.value);
+    render() {
+        const plot = this.plot;
+        const xName = Object.keys(plot.xOptions).find(opt => plot.xTypes[opt] === 'time');
 
-        function downloadFile(content, filename, contentType='text/plain') {
-            let file = new Blob([content], {type: contentType});  // blob to create file contents
-            let a = document.createElement('a');
-            // create anchor then assign temporary URL and download immediately
-            a.href = URL.createObjectURL(file);
-            a.click();
-            URL.revokeObjectURL(a.href);  // remove from browser since it's temporary
+        if (xName === undefined) {
+            plot.showError('Showing all compounds needs an x option of the time type');
+            return Promise.resolve();
         }
 
-        let c = new Map([...this.selectionsByDate.entries()].sort());
+        const xAttr = plot.xOptions[xName];
+        const yAttr = plot.dataYDefault;
 
-        let content = JSON.stringify(Object.fromEntries(c), this.mapReplacer, " ");
-        content = this.regexReplace(content, '],', '],\n');
+        // compounds that fail to load are left empty; their error is shown when they're plotted
+        return Promise.all(plot.compounds.map(c => plot.loadData(c).catch(() => []))).then(allData => {
+            const domain = this.domain || d3.extent([].concat(...allData), xAttr);
 
-        downloadFile(content, 'output.json')
-    };
+            this.container.selectAll('svg').remove();
+
+            this.panels = plot.compounds.map((compound, i) => {
+                const data = allData[i].filter(d => xAttr(d) >= domain[0] && xAttr(d) <= domain[1]
+                    && yAttr(d) != null);
+
+                return this.drawPanel(compound, data, allData[i], xAttr, yAttr, domain);
+            });
+
+            this.mark();
+        });
+    }
 
     /**
-     * Clear the plot of a compound of any selections, and remove selections from UI and data
+     * Draw one compound's panel and attach its hover, brush and zoom listeners
      *
-     * @param {string} compound - compound that should have it's plot and selections cleared/reset
+     * @param {string} compound - compound of the panel
+     * @param {Array} data - records to draw
+     * @param {Array} allData - all records of the compound, for finding which samples it has
+     * @param {Function} xAttr - callback for the time of a record
+     * @param {Function} yAttr - callback for the value of a record
+     * @param {Date[]} domain - [min, max] of the time axis
+     * @returns {object} - the panel
      */
-    cleanPlot(compound) {
-        let compoundSet = this.selectionsByCompound.get(compound);
+    drawPanel(compound, data, allData, xAttr, yAttr, domain) {
+        const plot = this.plot;
+        const [top, bottom] = [15, this.panelHeight - 20];
+
+        const xScale = d3.scaleUtc()
+            .domain(domain)
+            .range([plot.margins.left, plot.width - plot.margins.right]);
+
+        // the y axis is of the same type as the main plot's, fit to this compound's data
+        const yScale = data.length
+            ? plot.processAxis(data, yAttr, null, null, null, null, plot.axisType('y'), [bottom, top], plot.yRound)[2]
+            : d3.scaleLinear().domain([0, 1]).range([bottom, top]);
+
+        data = data.filter(d => isFinite(yScale(yAttr(d))));  // eg values at or below zero on a log axis
+
+        const svg = this.container.append('svg')
+            .attr('viewBox', `0 0 ${plot.width} ${this.panelHeight}`)
+            .style('display', 'block')
+            .style('width', '100%');
+
+        const title = svg.append('text')
+            .attr('x', plot.margins.left + 5)
+            .attr('y', top - 3)
+            .text(compound);
+
+        svg.append('g')
+            .attr('transform', `translate(0, ${bottom})`)
+            .call(d3.axisBottom(plot.zonedScale(xScale)).ticks(6).tickFormat(plot.timeFormat));
+
+        svg.append('g')
+            .attr('transform', `translate(${plot.margins.left}, 0)`)
+            .call(d3.axisLeft(yScale).ticks(3));
+
+        const points = svg.append('g').selectAll('circle').data(data).enter()
+            .append('circle')
+            .attr('r', 2)
+            .attr('cx', d => xScale(xAttr(d)))
+            .attr('cy', d => yScale(yAttr(d)))
+            .attr('class', plot.CSS.dataPointClass);
+
+        const panel = {
+            compound, data, xAttr, yAttr, xScale, yScale, svg, title, points,
+            keys: new Map(data.map(d => [plot.recordKey(d), d])),
+            allKeys: new Set(allData.map(d => plot.recordKey(d))),
+            quadtree: d3.quadtree(data, d => xScale(xAttr(d)), d => yScale(yAttr(d))),
+            hoverLine: svg.append('line')
+                .attr('class', plot.CSS.multiplesHoverClass)
+                .attr('y1', top)
+                .attr('y2', bottom)
+                .style('display', 'none'),
+            highlight: svg.append('circle')
+                .attr('class', plot.CSS.multiplesHighlightClass)
+                .attr('r', 5)
+                .style('display', 'none')
+        };
 
-        for (let d of compoundSet) {
-            let dateSet = this.selectionsByDate.get(d);
+        // a rectangle drag like the main plot's, since d3.brush uses shift to lock the box to one axis
+        const rect = svg.append('rect')
+            .attr('class', plot.CSS.multiplesBrushClass)
+            .style('display', 'none');
+        let origin = [0, 0];
 
-            if (dateSet !== undefined) {
-                this.selectionsByDate.get(d).delete(compound);
+        const corners = () => {
+            const [x, y] = d3.mouse(svg.node());
+            return [Math.min(x, origin[0]), Math.min(y, origin[1]), Math.max(x, origin[0]), Math.max(y, origin[1])];
+        };
 
-                if (this.selectionsByDate.get(d).size === 0) {
-                    this.selectionsByDate.delete(d);
+        svg.call(d3.drag()
+            .filter(() => !d3.event.ctrlKey && !d3.event.button)
+            .on('start', () => {
+                origin = d3.mouse(svg.node());
+                rect.style('display', null)
+                    .attr('x', origin[0])
+                    .attr('y', origin[1])
+                    .attr('width', 0)
+                    .attr('height', 0);
+            })
+            .on('drag', () => {
+                const [x0, y0, x1, y1] = corners();
+                rect.attr('x', x0).attr('y', y0).attr('width', x1 - x0).attr('height', y1 - y0);
+            })
+            .on('end', () => {
+                const [x0, y0, x1, y1] = corners();
+                rect.style('display', 'none');
+
+                if (x1 - x0 < 1 && y1 - y0 < 1) {
+                    return;  // a click, not a drag
                 }
-            }
-        }
 
-        compoundSet.clear();
-        this.render(compound);
-    };
+                if (d3.event.sourceEvent.shiftKey) {
+                    this.zoom([xScale.invert(x0), xScale.invert(x1)]);
+                } else {
+                    const inside = data.filter(d => {
+                        const [x, y] = [xScale(xAttr(d)), yScale(yAttr(d))];
+                        return x >= x0 && x <= x1 && y >= y0 && y <= y1;
+                    });
+
+                    this.select(panel, inside, d3.event.sourceEvent.altKey);
+                }
+            }));
+
+        svg.on('mousemove', () => {
+            const d = panel.quadtree.find(...d3.mouse(svg.node()), 10);
+            this.highlight(d === undefined ? null : plot.recordKey(d), d === undefined ? null : xAttr(d));
+        }).on('mouseleave', () => this.highlight(null))
+            .on('dblclick', () => this.zoom(null));
+
+        return panel;
+    }
 
     /**
-     * Completely refresh data in UI, removing any selections and re-initializing variables; re-render
+     * Zoom every panel to the same time range
+     *
+     * @param {Date[]|null} domain - [min, max] of the time axis, or null to show all data
+     * @returns {Promise}
      */
-    totalRefresh() {
-        this.initVars();
-
-        this.elements.selector.value = this.compounds[0];
-        this.elements.selector.dispatchEvent(new Event('change'));
-        // change value and manually issue event change to trigger
-    };
+    zoom(domain) {
+        this.domain = domain;
+        return this.render();
+    }
 
     /**
-     * Replacer to allow maps to be JSON.stringify'd
+     * Highlight a sample in every panel that has it, with a line at its time in all panels
      *
-     * @param key
-     * @param value
-     * @returns
+     * @param {string|null} key - key of the sample, see DataSelector.recordKey(), or null to remove the highlight
+     * @param {Date|null} [time=null] - time of the sample
      */
-    mapReplacer = (key, value) => {
-        if(value instanceof Map || value instanceof Set) {
-            return [...value]
+    highlight(key, time=null) {
+        for (let panel of this.panels) {
+            const d = (key === null) ? undefined : panel.keys.get(key);
+
+            panel.hoverLine.style('display', (key === null) ? 'none' : null)
+                .attr('x1', panel.xScale(time))
+                .attr('x2', panel.xScale(time));
+
+            panel.highlight.style('display', (d === undefined) ? 'none' : null);
+            panel.title.text(panel.compound);
+
+            if (d !== undefined) {
+                panel.highlight.attr('cx', panel.xScale(panel.xAttr(d))).attr('cy', panel.yScale(panel.yAttr(d)));
+                panel.title.text(`${panel.compound} -- ${key}: ${panel.yAttr(d)}`);
+            }
         }
-        return value
-    };
+    }
 
     /**
-     * Utility function for replacing all occurences of a string based on a regex search.
+     * Select or de-select records of a panel, and the same samples in every other compound if linkAll is set, as one
+     * undoable command
      *
-     * @param str
-     * @param search
-     * @param replacement
-     * @returns {String|*|string|void}
+     * @param {object} panel - the panel the records were chosen in
+     * @param {Array} data - the records
+     * @param {boolean} [remove=false] - de-select instead of selecting
      */
-    regexReplace = (str, search, replacement) => str.replace(new RegExp(search, 'g'), replacement);
-}
+    select(panel, data, remove=false) {
+        const plot = this.plot;
+        const panels = this.linkAll ? this.panels : [panel];
+
+        plot.beginCommand();
+        for (let d of data) {
+            const key = plot.recordKey(d);
+
+            for (let p of panels.filter(p => p.allKeys.has(key))) {
+                if (remove) {
+                    plot.removeSelection(p.compound, key);
+                } else {
+                    plot.addSelection(p.compound, key);
+                }
+            }
+        }
+        plot.endCommand();
 
-function reverseKeyLookup(obj, value) {
-    return Object.keys(obj).find(k=>obj[k]===value)
+        plot.render(plot.previousCompound);  // shows the changes in the main plot and text boxes, and marks them here
+    }
+
+    /** Style points of every panel as selected or not, coloring them by their flag category*/
+    mark() {
+        const plot = this.plot;
+
+        for (let panel of this.panels) {
+            panel.points.each((d, i, n) => {
+                const flag = plot.getFlag(panel.compound, plot.recordKey(d));
+
+                d3.select(n[i]).classed(plot.CSS.selectedOutlierClass, flag !== undefined)
+                    .style('fill', (flag === undefined) ? null : plot.flagCategories[flag].color);
+            });
+        }
+    }
 }
 
 class HoldToggle {
@@ -924,3 +5028,9 @@ class HoldToggle {
         this.ct = 0;
     }
 }
+
+// allow the DOM-free parts to be required in Node, eg const {SelectionStore} = require('./index.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {DataSelector, DataSource, SelectionStore, SelectionHistory, detectOutliers, outlierMethods,
+        rollingSummary, seasonalFit, overlayLines, overlayBands, parseTime};
+}
@@ -0,0 +1,209 @@
+// Tests of SelectionStore, which doesn't need the DOM or d3; run from the repository root with `node --test`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {SelectionStore} = require('../index.js');
+
+const KEY = '2019-03-19 02:20 3625-99';
+const OTHER = '2019-03-20 04:00 3626-99';
+
+/** Create a store of ethane and propane, and a list of every change reported to its listener*/
+function storeWithLog() {
+    const changes = [];
+    const store = new SelectionStore(['ethane', 'propane'], (...change) => changes.push(change));
+    return {store, changes};
+}
+
+test('formatKey gives the UTC date without seconds, with the salt after it', () => {
+    const date = new Date(Date.UTC(2019, 2, 19, 2, 20, 45));
+
+    assert.equal(SelectionStore.formatKey(date), '2019-03-19 02:20');
+    assert.equal(SelectionStore.formatKey(date, '3625-99'), KEY);
+});
+
+test('add selects a key with a flag, and only reports changes', () => {
+    const {store, changes} = storeWithLog();
+
+    assert.equal(store.add('ethane', KEY), true);
+    assert.equal(store.has('ethane', KEY), true);
+    assert.equal(store.getFlag('ethane', KEY), 'selected');
+    assert.equal(store.has('propane', KEY), false);
+
+    assert.equal(store.add('ethane', KEY), false);
+    assert.deepEqual(changes, [['ethane', KEY, undefined, 'selected']]);
+});
+
+test('add throws for a compound that was never added', () => {
+    const {store} = storeWithLog();
+
+    assert.throws(() => store.add('butane', KEY), /Unknown compound 'butane'/);
+});
+
+test('adding a selected key with another flag re-flags it', () => {
+    const {store, changes} = storeWithLog();
+
+    store.add('ethane', KEY);
+    assert.equal(store.add('ethane', KEY, 'contaminated'), true);
+
+    assert.equal(store.getFlag('ethane', KEY), 'contaminated');
+    assert.equal(store.size('ethane'), 1);
+    assert.deepEqual(changes[1], ['ethane', KEY, 'selected', 'contaminated']);
+});
+
+test('remove de-selects a key and reports its flag before', () => {
+    const {store, changes} = storeWithLog();
+
+    store.add('ethane', KEY, 'contaminated');
+    assert.equal(store.remove('ethane', KEY), true);
+    assert.equal(store.remove('ethane', KEY), false);
+
+    assert.equal(store.has('ethane', KEY), false);
+    assert.equal(store.getFlag('ethane', KEY), undefined);
+    assert.deepEqual(changes[1], ['ethane', KEY, 'contaminated', undefined]);
+    assert.equal(changes.length, 2);
+});
+
+test('toggle selects a key that isn\'t selected, and de-selects one that is', () => {
+    const {store} = storeWithLog();
+
+    assert.equal(store.toggle('ethane', KEY, 'contaminated'), true);
+    assert.equal(store.getFlag('ethane', KEY), 'contaminated');
+
+    assert.equal(store.toggle('ethane', KEY), false);
+    assert.equal(store.has('ethane', KEY), false);
+});
+
+test('byCompound and byKey are kept as inverses of each other', () => {
+    const {store} = storeWithLog();
+
+    store.add('ethane', KEY);
+    store.add('propane', KEY, 'contaminated');
+    store.add('ethane', OTHER);
+
+    assert.deepEqual(store.keys('ethane'), [KEY, OTHER]);
+    assert.deepEqual(store.compoundsOf(KEY), ['ethane', 'propane']);
+    assert.deepEqual(store.compoundsOf(OTHER), ['ethane']);
+
+    store.remove('ethane', KEY);
+    assert.deepEqual(store.compoundsOf(KEY), ['propane']);
+
+    store.remove('propane', KEY);
+    assert.deepEqual(store.compoundsOf(KEY), []);
+    assert.equal(store.byKey.has(KEY), false);
+
+    for (let [key, compounds] of store.byKey) {
+        for (let c of compounds) {
+            assert.equal(store.byCompound.get(c).has(key), true);
+        }
+    }
+});
+
+test('byKeyObject and byCompoundObject list selections both ways, with flags if asked', () => {
+    const {store} = storeWithLog();
+
+    store.add('propane', OTHER);
+    store.add('ethane', KEY, 'contaminated');
+    store.add('propane', KEY);
+
+    assert.deepEqual(store.byKeyObject(false, true), {[KEY]: ['ethane', 'propane'], [OTHER]: ['propane']});
+    assert.deepEqual(store.byKeyObject(true, true)[KEY], {ethane: 'contaminated', propane: 'selected'});
+    assert.deepEqual(store.byCompoundObject(), {ethane: [KEY], propane: [KEY, OTHER]});
+    assert.deepEqual(store.byCompoundObject(true).ethane, {[KEY]: 'contaminated'});
+});
+
+test('clearCompound de-selects every key of one compound only', () => {
+    const {store, changes} = storeWithLog();
+
+    store.add('ethane', KEY);
+    store.add('ethane', OTHER);
+    store.add('propane', KEY);
+    changes.length = 0;
+
+    assert.equal(store.clearCompound('ethane'), 2);
+
+    assert.equal(store.size('ethane'), 0);
+    assert.deepEqual(store.compoundsOf(KEY), ['propane']);
+    assert.deepEqual(changes.map(([c, key, , after]) => [c, key, after]),
+        [['ethane', KEY, undefined], ['ethane', OTHER, undefined]]);
+});
+
+test('clear de-selects everything but keeps the compounds', () => {
+    const {store} = storeWithLog();
+
+    store.add('ethane', KEY);
+    store.add('propane', KEY);
+    store.add('propane', OTHER);
+
+    assert.equal(store.clear(), 3);
+
+    assert.deepEqual(store.byKeyObject(), {});
+    assert.deepEqual(store.compounds(), ['ethane', 'propane']);
+});
+
+test('merge adds another store\'s selections, overwriting flags unless asked not to', () => {
+    const {store} = storeWithLog();
+    const other = new SelectionStore(['ethane', 'butane']);
+
+    store.add('ethane', KEY, 'contaminated');
+    other.add('ethane', KEY, 'selected');
+    other.add('ethane', OTHER, 'contaminated');
+    other.add('butane', KEY);
+
+    const kept = new SelectionStore(['ethane', 'propane']);
+    kept.merge(store);
+
+    assert.equal(kept.merge(other, false), 1);
+    assert.equal(kept.getFlag('ethane', KEY), 'contaminated');
+    assert.equal(kept.getFlag('ethane', OTHER), 'contaminated');
+    assert.equal(kept.hasCompound('butane'), false);
+
+    assert.equal(store.merge(other), 2);
+    assert.equal(store.getFlag('ethane', KEY), 'selected');
+});
+
+test('merge accepts a serialized store', () => {
+    const {store} = storeWithLog();
+
+    store.merge({selections: {[KEY]: ['propane']}, flags: {propane: {[KEY]: 'contaminated'}}});
+
+    assert.equal(store.getFlag('propane', KEY), 'contaminated');
+});
+
+test('serialize and deserialize round-trip selections, flags and compounds', () => {
+    const {store} = storeWithLog();
+
+    store.add('ethane', KEY, 'contaminated');
+    store.add('ethane', OTHER);
+    store.add('propane', KEY);
+
+    const data = JSON.parse(JSON.stringify(store.serialize()));
+    const restored = SelectionStore.deserialize(data);
+
+    assert.deepEqual(restored.compounds(), ['ethane', 'propane']);
+    assert.deepEqual(restored.byKeyObject(true, true), store.byKeyObject(true, true));
+    assert.deepEqual(restored.serialize(), store.serialize());
+});
+
+test('deserialize gives keys without a flag the default, and only reports later changes', () => {
+    const changes = [];
+    const restored = SelectionStore.deserialize({selections: {[KEY]: ['ethane']}}, (...change) => changes.push(change));
+
+    assert.equal(restored.getFlag('ethane', KEY), 'selected');
+    assert.deepEqual(changes, []);
+
+    restored.remove('ethane', KEY);
+    assert.deepEqual(changes, [['ethane', KEY, 'selected', undefined]]);
+});
+
+test('subscribe adds a listener, and the function it returns removes it', () => {
+    const {store, changes} = storeWithLog();
+    const extra = [];
+    const unsubscribe = store.subscribe((...change) => extra.push(change));
+
+    store.add('ethane', KEY);
+    unsubscribe();
+    store.add('ethane', OTHER, 'contaminated');
+
+    assert.deepEqual(extra, [['ethane', KEY, undefined, 'selected']]);
+    assert.deepEqual(changes.at(-1), ['ethane', OTHER, undefined, 'contaminated']);
+});
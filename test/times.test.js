@@ -0,0 +1,87 @@
+// Tests of reading times from data; run from the repository root with `node --test`. Loading CSV needs d3 (v5 or
+// v6, as the page uses), so those tests are skipped if it can't be required
+process.env.TZ = 'America/Denver';  // times must never be read in the local time zone, so make it something other than UTC
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let d3 = null;
+try {
+    d3 = require('d3');
+} catch (e) {
+    // leave d3 as null and skip the tests that need it
+}
+global.d3 = d3;
+
+const {DataSource, SelectionStore, parseTime} = require('../index.js');
+
+const needsD3 = {skip: d3 === null && 'd3 is not installed'};
+
+/** Load CSV text through a DataSource, as the page would load a file*/
+function loadCSV(text, fields) {
+    return new DataSource({url: 'data:text/csv,' + encodeURIComponent(text), type: 'csv', fields}).load();
+}
+
+test('CSV dates with and without an offset are read in the data time zone', needsD3, async () => {
+    const source = 'sample_time,mixing_ratio,flask\n'
+        + '2019-03-19 02:20,1500,3625-99\n'
+        + '2019-03-19T02:20Z,1510,3626-99\n'
+        + '2019-03-19T02:20+01:00,1520,3627-99\n';
+
+    const records = await loadCSV(source, {date: 'sample_time', value: 'mixing_ratio'});
+    const dates = records.map(d => parseTime(d.date, 0, 'Etc/GMT+2').toISOString());
+
+    assert.deepEqual(dates, ['2019-03-19T04:20:00.000Z', '2019-03-19T02:20:00.000Z', '2019-03-19T01:20:00.000Z']);
+    assert.equal(records[0].value, 1500);
+});
+
+test('CSV dates are left as written in the records and their originals', needsD3, async () => {
+    const records = await loadCSV('sample_time,value\n2019-03-19 02:20,1500\n', {date: 'sample_time'});
+
+    assert.equal(records[0].date, '2019-03-19 02:20');
+    assert.equal(records[0].sample_time, '2019-03-19 02:20');
+});
+
+test('epoch seconds and Dates are read as wall-clock times in the data time zone', () => {
+    const wall = Date.UTC(2019, 2, 19, 2, 20);
+
+    assert.equal(parseTime(wall / 1000, 0, 'Etc/GMT+2').toISOString(), '2019-03-19T04:20:00.000Z');
+    assert.equal(parseTime(new Date(wall), 0, 'Etc/GMT+2').toISOString(), '2019-03-19T04:20:00.000Z');
+});
+
+test('times in a zone with daylight saving time use the offset at that time', () => {
+    assert.equal(parseTime('2019-01-15 12:00', 0, 'America/New_York').toISOString(), '2019-01-15T17:00:00.000Z');
+    assert.equal(parseTime('2019-07-15 12:00', 0, 'America/New_York').toISOString(), '2019-07-15T16:00:00.000Z');
+});
+
+test('times are keyed in UTC', () => {
+    const date = parseTime('2019-03-19 02:20', 0, 'Etc/GMT+2');
+
+    assert.equal(SelectionStore.formatKey(date, '3625-99'), '2019-03-19 04:20 3625-99');
+});
+
+test('missing times give an invalid Date in either case', () => {
+    for (let zone of [null, 'Etc/GMT+2']) {
+        for (let time of [null, undefined, '']) {
+            assert.ok(isNaN(parseTime(time, 0, zone)));
+        }
+    }
+});
+
+test('times without a zone are read as UTC corrected by the UTC offset, never in the local time zone', () => {
+    assert.equal(SelectionStore.formatKey(parseTime('2019-03-19T02:20', 0, null)), '2019-03-19 02:20');
+    assert.equal(SelectionStore.formatKey(parseTime('2019-03-19 02:20', -2, null)), '2019-03-19 00:20');
+    assert.equal(SelectionStore.formatKey(parseTime('2019-03-19', 0, null)), '2019-03-19 00:00');
+    assert.equal(SelectionStore.formatKey(parseTime(Date.UTC(2019, 2, 19, 2, 20) / 1000, -2, null)), '2019-03-19 00:20');
+});
+
+test('times with their own offset are exact whatever the UTC offset', () => {
+    assert.equal(SelectionStore.formatKey(parseTime('2019-03-19T02:20+01:00', -2, null)), '2019-03-19 01:20');
+    assert.equal(SelectionStore.formatKey(parseTime('2019-03-19T02:20Z', -2, null)), '2019-03-19 02:20');
+});
+
+test('CSV dates without a zone give the same keys on every machine', needsD3, async () => {
+    const records = await loadCSV('sample_time,value,flask\n2019-03-19T02:20,1500,3625-99\n', {date: 'sample_time'});
+
+    assert.equal(SelectionStore.formatKey(parseTime(records[0].date, 0, null), records[0].flask), '2019-03-19 02:20 3625-99');
+});